@@ -0,0 +1,104 @@
+import { generateJson } from '../ai.js';
+import { getCareerPathsById, loadCareerPaths } from '../catalog.js';
+import { AppError } from '../errors.js';
+import { buildFallbackRecommendation } from '../fallback.js';
+import { resolveCurrentPath } from '../matching.js';
+import { resolveUserProfile } from '../profile.js';
+import { buildComparePrompt, loadPromptTemplates } from '../prompt.js';
+import { clampScore } from '../repair.js';
+import { loadTaxonomy } from '../taxonomy.js';
+
+const toStringList = (value) =>
+  Array.isArray(value) ? value.filter(item => typeof item === 'string' && item.trim()) : [];
+
+const buildFallbackComparison = (paths, userProfile, careerStage, t, currentPathId) => {
+  const entries = paths.map(path => {
+    const recommendation = buildFallbackRecommendation(path, userProfile, careerStage, t, currentPathId);
+    return {
+      pathId: path.$id,
+      title: path.title,
+      matchScore: recommendation.matchScore,
+      strengths: [recommendation.reason],
+      drawbacks: recommendation.improvementAreas.map(skill => t('compare.requires', { skill }))
+    };
+  });
+  const [first, second] = entries;
+  const better = second.matchScore > first.matchScore ? second : first;
+
+  return {
+    paths: entries,
+    betterFitPathId: better.pathId,
+    summary: first.matchScore === second.matchScore
+      ? t('compare.equalFit', { first: first.title, second: second.title })
+      : t('compare.betterFit', { title: better.title })
+  };
+};
+
+// Compare two career paths side by side for the user
+export const compare = async (services, payload, context) => {
+  const { pathIds } = payload;
+  if (!Array.isArray(pathIds) || pathIds.length !== 2 || pathIds.some(id => !id || typeof id !== 'string')) {
+    throw new AppError('INVALID_REQUEST', "pathIds must be a list of two career path IDs");
+  }
+  if (pathIds[0] === pathIds[1]) {
+    throw new AppError('INVALID_REQUEST', "pathIds must be two different career paths");
+  }
+
+  const userData = await services.getTalent();
+  await loadTaxonomy(services.databases, services.config, context.log);
+  const { careerStage, userProfile } = resolveUserProfile(userData, payload.surveyAnswers);
+
+  const paths = await getCareerPathsById(services.databases, services.config, pathIds);
+  const missing = pathIds.filter((id, index) => !paths[index]);
+  if (missing.length > 0) {
+    throw new AppError('CAREER_PATH_NOT_FOUND', `Career path not found: ${missing.join(', ')}`);
+  }
+
+  // Only requests that will reach the LLM count against the rate limit
+  await services.checkRateLimit();
+
+  // Whether one of them is a Trailblazer's current path is decided against the whole catalog
+  const currentPath = careerStage === 'Trailblazer'
+    ? resolveCurrentPath(await loadCareerPaths(services.databases, services.config, context.log), userProfile.currentPath)
+    : null;
+  const fallback = buildFallbackComparison(paths, userProfile, careerStage, services.t, currentPath?.$id);
+  let comparison;
+  let source = 'ai';
+  const templates = await loadPromptTemplates(services.databases, services.config, { seed: services.userId, locale: services.locale, log: context.log });
+  try {
+    const jsonResponse = await generateJson(services.getProvider(), buildComparePrompt(templates, userProfile, careerStage, paths), context, services.config);
+    const aiPaths = Array.isArray(jsonResponse.paths) ? jsonResponse.paths : [];
+    if (!pathIds.includes(jsonResponse.betterFitPathId) || typeof jsonResponse.summary !== 'string') {
+      throw new AppError('AI_INVALID_OUTPUT', "Invalid response structure from AI");
+    }
+
+    // Keep the catalog's IDs and titles; take the AI's judgement per path where it gave one
+    comparison = {
+      paths: fallback.paths.map(entry => {
+        const aiEntry = aiPaths.find(item => item && item.pathId === entry.pathId);
+        if (!aiEntry) return entry;
+        return {
+          ...entry,
+          matchScore: clampScore(aiEntry.matchScore) ?? entry.matchScore,
+          strengths: toStringList(aiEntry.strengths),
+          drawbacks: toStringList(aiEntry.drawbacks)
+        };
+      }),
+      betterFitPathId: jsonResponse.betterFitPathId,
+      summary: jsonResponse.summary.trim()
+    };
+  } catch (aiError) {
+    context.error('AI comparison unavailable, using fallback:', aiError.code || 'AI_UNAVAILABLE', aiError.message);
+    comparison = fallback;
+    source = 'fallback';
+  }
+
+  return {
+    success: true,
+    comparison,
+    careerStage,
+    source,
+    locale: services.locale,
+    promptVersion: templates.version
+  };
+};
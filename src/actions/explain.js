@@ -0,0 +1,76 @@
+import { generateJson } from '../ai.js';
+import { getCareerPathsById, loadCareerPaths } from '../catalog.js';
+import { AppError } from '../errors.js';
+import { buildFallbackRecommendation } from '../fallback.js';
+import { withSkillGap } from '../gaps.js';
+import { resolveCurrentPath } from '../matching.js';
+import { resolveUserProfile } from '../profile.js';
+import { buildExplainPrompt, loadPromptTemplates } from '../prompt.js';
+import { clampScore } from '../repair.js';
+import { assessSalaryFit, resolveSalaryTarget } from '../salary.js';
+import { getStageScoring, loadScoringOverrides } from '../scoring.js';
+import { loadTaxonomy } from '../taxonomy.js';
+
+// Explain why a single career path does or doesn't fit the user
+export const explain = async (services, payload, context) => {
+  const { pathId } = payload;
+  if (!pathId || typeof pathId !== 'string') {
+    throw new AppError('INVALID_REQUEST', "pathId is required");
+  }
+
+  const userData = await services.getTalent();
+  await loadTaxonomy(services.databases, services.config, context.log);
+  const { careerStage, userProfile } = resolveUserProfile(userData, payload.surveyAnswers);
+
+  const [path] = await getCareerPathsById(services.databases, services.config, [pathId]);
+  if (!path) {
+    throw new AppError('CAREER_PATH_NOT_FOUND', `Career path not found: ${pathId}`);
+  }
+
+  // Only requests that will reach the LLM count against the rate limit
+  await services.checkRateLimit();
+
+  // Whether this is a Trailblazer's current path is decided against the whole catalog
+  const currentPath = careerStage === 'Trailblazer'
+    ? resolveCurrentPath(await loadCareerPaths(services.databases, services.config, context.log), userProfile.currentPath)
+    : null;
+  const fallback = buildFallbackRecommendation(path, userProfile, careerStage, services.t, currentPath?.$id);
+  let explanation;
+  let source = 'ai';
+  const templates = await loadPromptTemplates(services.databases, services.config, { seed: services.userId, locale: services.locale, log: context.log });
+  try {
+    const jsonResponse = await generateJson(services.getProvider(), buildExplainPrompt(templates, userProfile, careerStage, path), context, services.config);
+    if (typeof jsonResponse.reason !== 'string' || !jsonResponse.reason.trim()) {
+      throw new AppError('AI_INVALID_OUTPUT', "Invalid response structure from AI");
+    }
+    explanation = {
+      pathId: path.$id,
+      title: path.title,
+      matchScore: clampScore(jsonResponse.matchScore) ?? fallback.matchScore,
+      reason: jsonResponse.reason.trim(),
+      improvementAreas: Array.isArray(jsonResponse.improvementAreas)
+        ? jsonResponse.improvementAreas.filter(area => typeof area === 'string' && area.trim())
+        : fallback.improvementAreas
+    };
+  } catch (aiError) {
+    context.error('AI explanation unavailable, using fallback:', aiError.code || 'AI_UNAVAILABLE', aiError.message);
+    explanation = fallback;
+    source = 'fallback';
+  }
+
+  return {
+    success: true,
+    explanation: {
+      ...withSkillGap(explanation, path, userProfile),
+      salaryFit: assessSalaryFit(
+        path,
+        resolveSalaryTarget(userProfile, services.config, context.log),
+        getStageScoring(await loadScoringOverrides(services.databases, services.config, context.log), careerStage).salaryCloseRatio
+      )
+    },
+    careerStage,
+    source,
+    locale: services.locale,
+    promptVersion: templates.version
+  };
+};
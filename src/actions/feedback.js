@@ -0,0 +1,70 @@
+import { getCareerPathsById } from '../catalog.js';
+import { AppError } from '../errors.js';
+import { FEEDBACK_RATINGS, MAX_FEEDBACK_REASON, getFeedbackStats, saveFeedback } from '../feedback.js';
+import { formatResult } from '../history.js';
+
+const validateFeedback = (payload) => {
+  const fields = {};
+  for (const key of ['resultId', 'pathId']) {
+    if (!payload[key] || typeof payload[key] !== 'string') fields[key] = 'is required';
+  }
+  if (!FEEDBACK_RATINGS.includes(payload.rating)) {
+    fields.rating = `must be one of: ${FEEDBACK_RATINGS.join(', ')}`;
+  }
+  if (payload.reason !== undefined && payload.reason !== null &&
+      (typeof payload.reason !== 'string' || payload.reason.trim().length > MAX_FEEDBACK_REASON)) {
+    fields.reason = `must be text of at most ${MAX_FEEDBACK_REASON} characters`;
+  }
+  if (Object.keys(fields).length > 0) {
+    throw new AppError('INVALID_REQUEST', "Feedback is invalid", { fields });
+  }
+};
+
+// Rate one recommended path from one of the user's saved results
+export const feedback = async (services, payload, context) => {
+  const { config, databases, userId } = services;
+  validateFeedback(payload);
+  const { resultId, pathId, rating } = payload;
+
+  let result = null;
+  try {
+    result = formatResult(await databases.getDocument(config.databaseId, config.resultsCollectionId, resultId));
+  } catch (error) {
+    context.log('Result lookup failed:', error.message);
+  }
+  if (!result || result.userId !== userId) {
+    throw new AppError('RESULT_NOT_FOUND', `Result not found: ${resultId}`);
+  }
+  if (!result.recommendations.some(recommendation => recommendation.pathId === pathId)) {
+    throw new AppError('INVALID_REQUEST', `Career path ${pathId} was not recommended in result ${resultId}`, {
+      fields: { pathId: 'was not recommended in this result' }
+    });
+  }
+
+  const feedbackId = await saveFeedback(databases, config, {
+    userId,
+    pathId,
+    resultId,
+    rating,
+    reason: payload.reason?.trim()
+  });
+  context.log('Saved feedback:', { feedbackId, pathId, rating });
+
+  return { success: true, feedbackId, pathId, resultId, rating };
+};
+
+// Aggregate ratings per career path, worst rated first, so the content team
+// can find paths that are poorly described. Optionally for one pathId.
+export const feedbackStats = async (services, payload) => {
+  const { config, databases } = services;
+  if (payload.pathId !== undefined && typeof payload.pathId !== 'string') {
+    throw new AppError('INVALID_REQUEST', "pathId must be a career path ID");
+  }
+
+  const stats = await getFeedbackStats(databases, config, payload.pathId || null);
+  const paths = stats.length > 0 ? await getCareerPathsById(databases, config, stats.map(entry => entry.pathId)) : [];
+  return {
+    success: true,
+    stats: stats.map((entry, index) => ({ ...entry, title: paths[index]?.title || null }))
+  };
+};
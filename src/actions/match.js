@@ -0,0 +1,245 @@
+import { getAiRecommendations } from '../ai.js';
+import { getCatalogVersion, loadCareerPaths } from '../catalog.js';
+import { createEmbedder, computeSimilarities } from '../embeddings.js';
+import { AppError } from '../errors.js';
+import { buildFallbackRecommendations } from '../fallback.js';
+import { getUserRatings, summarizeRatings } from '../feedback.js';
+import { withSkillGap } from '../gaps.js';
+import { buildRequestKey, findReusableResult, saveMatchResult } from '../history.js';
+import { buildProfileWriteBack, resolveUserProfile } from '../profile.js';
+import { buildMatchPrompt, loadPromptTemplates } from '../prompt.js';
+import { repairRecommendations } from '../repair.js';
+import { assessSalaryFit, resolveSalaryTarget } from '../salary.js';
+import { describeScore, filterRelevantCareerPaths, getStageScoring, loadScoringOverrides, scoreCareerPaths } from '../scoring.js';
+import { loadTaxonomy } from '../taxonomy.js';
+import { analyzeTransitions } from '../transitions.js';
+
+// Horizon Changers also get how to move from their current path to each
+// recommended one; other stages get nothing extra
+const describeTransitions = (careerStage, recommendations, careerPaths, userProfile, salaryTarget, config) => {
+  if (careerStage !== 'Horizon Changer') return {};
+  const pathsById = new Map(careerPaths.map(path => [path.$id, path]));
+  const targets = recommendations.map(recommendation => pathsById.get(recommendation.pathId)).filter(Boolean);
+  return {
+    transitions: analyzeTransitions(careerPaths, targets, userProfile, { salaryTarget, catalogCurrency: config.catalogCurrency })
+  };
+};
+
+// The full pipeline: profile -> pre-filter -> LLM (or fallback) -> save.
+// With persistProfile off the talent document is left untouched, which is
+// what the rerank action uses.
+const runMatch = async (services, payload, context, { persistProfile }) => {
+  const { config, databases, userId } = services;
+
+  const userData = await services.getTalent();
+  await loadTaxonomy(databases, config, context.log);
+
+  // Reject invalid answers before anything is written or sent to Gemini
+  const { careerStage, userProfile, answers } = resolveUserProfile(userData, payload.surveyAnswers);
+
+  const allCareerPaths = await loadCareerPaths(databases, config, context.log);
+  context.log('Total career paths found:', allCareerPaths.length);
+
+  context.log(answers ? 'Using survey answers for recommendation' : 'Using stored user data for recommendation');
+
+  context.log('Filtering relevant career paths...');
+  const scoring = getStageScoring(await loadScoringOverrides(databases, config, context.log), careerStage);
+
+  // Semantic similarity is a bonus on top of keyword overlap; without it the keyword scores still work
+  let similarities = null;
+  const embedder = createEmbedder(config);
+  if (embedder) {
+    try {
+      similarities = await computeSimilarities(embedder, allCareerPaths, userProfile);
+    } catch (embedError) {
+      context.error('Semantic matching unavailable, using keyword scores only:', embedError.message);
+    }
+  }
+
+  const salaryTarget = resolveSalaryTarget(userProfile, config, context.log);
+
+  // Earlier thumbs up/down from this user; matching works without them
+  let feedback = null;
+  try {
+    feedback = summarizeRatings(await getUserRatings(databases, config, userId), allCareerPaths);
+  } catch (feedbackError) {
+    context.error('Feedback unavailable, ranking without it:', feedbackError.message);
+  }
+
+  const filteredCareerPaths = filterRelevantCareerPaths(allCareerPaths, userProfile, careerStage, {
+    settings: scoring,
+    seed: userId,
+    similarities,
+    salaryTarget,
+    feedback,
+    log: context.log
+  });
+  context.log('Filtered career paths:', filteredCareerPaths.length);
+
+  const templates = await loadPromptTemplates(databases, config, { seed: userId, locale: services.locale, log: context.log });
+  const prompt = buildMatchPrompt(templates, userProfile, careerStage, filteredCareerPaths);
+
+  // An identical resubmission (same answers, catalog and shortlist) within
+  // RESULT_REUSE_TTL_SECONDS gets the stored result instead of a new LLM call.
+  // Previews and debug runs always run in full.
+  const dryRun = payload.dryRun === true;
+  const requestKey = buildRequestKey({
+    action: persistProfile ? 'match' : 'rerank',
+    userId,
+    careerStage,
+    locale: services.locale,
+    promptVersion: templates.version,
+    catalogVersion: getCatalogVersion(),
+    profile: userProfile,
+    shortlist: filteredCareerPaths.map(path => path.$id)
+  });
+  if (!dryRun && payload.debug !== true && config.resultReuseTtlSeconds > 0) {
+    try {
+      const reusable = await findReusableResult(databases, config.databaseId, config.resultsCollectionId, userId, requestKey, config.resultReuseTtlSeconds * 1000);
+      if (reusable) {
+        context.log('Reusing saved result for identical request:', reusable.resultId);
+        return {
+          success: true,
+          resultId: reusable.resultId,
+          recommendations: reusable.recommendations,
+          generalAdvice: reusable.generalAdvice,
+          careerStage,
+          source: reusable.source,
+          locale: services.locale,
+          promptVersion: reusable.promptVersion,
+          totalPathsConsidered: allCareerPaths.length,
+          filteredPathsConsidered: filteredCareerPaths.length,
+          userCurrentPath: userProfile.currentPath,
+          profileUpdated: false,
+          reused: true,
+          ...describeTransitions(careerStage, reusable.recommendations, allCareerPaths, userProfile, salaryTarget, config)
+        };
+      }
+    } catch (lookupError) {
+      context.error('Result reuse lookup failed:', lookupError.message);
+    }
+  }
+
+  await services.checkRateLimit();
+
+  // Get AI recommendations, falling back to the deterministic ranking if
+  // the LLM is unavailable or its answer cannot be used
+  let jsonResponse;
+  let source = 'ai';
+  const provider = services.getProvider();
+  try {
+    jsonResponse = await getAiRecommendations(provider, prompt, context, config);
+
+    // Check every recommendation against the catalog and repair what we can
+    const repaired = repairRecommendations(jsonResponse.recommendations, filteredCareerPaths, userProfile, careerStage, services.t);
+    if (repaired.repairs.length > 0) {
+      context.log('Repaired AI recommendations:', repaired.repairs);
+    }
+    if (repaired.aiCount === 0) {
+      throw new AppError('AI_INVALID_OUTPUT', "AI did not provide any valid recommendations");
+    }
+    jsonResponse.recommendations = repaired.recommendations;
+  } catch (aiError) {
+    context.error('AI recommendations unavailable, using fallback ranking:', aiError.code || 'AI_UNAVAILABLE', aiError.message);
+    jsonResponse = buildFallbackRecommendations(filteredCareerPaths, userProfile, careerStage, services.t);
+    source = 'fallback';
+  }
+
+  // Every recommendation is a pre-filtered path by now, so the gap analysis
+  // and salary fit can be computed from the catalog
+  const pathsById = new Map(filteredCareerPaths.map(path => [path.$id, path]));
+  jsonResponse.recommendations = jsonResponse.recommendations.map(recommendation => {
+    const path = pathsById.get(recommendation.pathId);
+    return {
+      ...withSkillGap(recommendation, path, userProfile),
+      salaryFit: assessSalaryFit(path, salaryTarget, scoring.salaryCloseRatio)
+    };
+  });
+
+  // The talent is only written once the match has produced recommendations,
+  // in a single update, so a failure earlier leaves it untouched. dryRun
+  // previews what would be written without writing anything.
+  const profileUpdate = persistProfile ? buildProfileWriteBack(answers, userData) : null;
+  let profileUpdated = false;
+  if (profileUpdate && !dryRun) {
+    try {
+      await databases.updateDocument(config.databaseId, config.talentsCollectionId, userData.$id, profileUpdate);
+      profileUpdated = true;
+      context.log('Updated user profile:', Object.keys(profileUpdate));
+    } catch (updateError) {
+      context.error('Error updating user profile:', updateError.message);
+    }
+  }
+
+  const generalAdvice = jsonResponse.generalAdvice || services.t('advice.default', { careerStage });
+
+  // Keep a history of every run except previews; a failed save should not
+  // cost the user their results
+  let resultId = null;
+  if (!dryRun) {
+    try {
+      resultId = await saveMatchResult(databases, config.databaseId, config.resultsCollectionId, {
+        userId,
+        careerStage,
+        profile: userProfile,
+        candidates: filteredCareerPaths,
+        recommendations: jsonResponse.recommendations,
+        generalAdvice,
+        source,
+        model: `${provider.name}:${provider.model}`,
+        promptVersion: templates.version,
+        locale: services.locale,
+        requestKey
+      });
+      context.log('Saved match result:', resultId);
+    } catch (saveError) {
+      context.error('Error saving match result:', saveError);
+    }
+  }
+
+  context.log('Career match completed successfully - Total paths:', allCareerPaths.length, 'Filtered paths:', filteredCareerPaths.length, 'Career stage:', careerStage, 'Source:', source);
+
+  const responseData = {
+    success: true,
+    resultId,
+    recommendations: jsonResponse.recommendations,
+    generalAdvice,
+    careerStage,
+    source,
+    locale: services.locale,
+    promptVersion: templates.version,
+    totalPathsConsidered: allCareerPaths.length,
+    filteredPathsConsidered: filteredCareerPaths.length,
+    userCurrentPath: userProfile.currentPath,
+    profileUpdated,
+    ...describeTransitions(careerStage, jsonResponse.recommendations, allCareerPaths, userProfile, salaryTarget, config)
+  };
+
+  // A preview shows the talent fields the match would have written
+  if (dryRun) {
+    const { profileSnapshot, ...pendingUpdate } = profileUpdate || {};
+    responseData.dryRun = true;
+    responseData.profileUpdate = profileUpdate ? pendingUpdate : null;
+  }
+
+  // With debug on, show why each path was or wasn't shortlisted
+  if (payload.debug === true) {
+    const shortlistedIds = new Set(filteredCareerPaths.map(path => path.$id));
+    responseData.debug = {
+      scoring,
+      shortlisted: filteredCareerPaths.map(describeScore),
+      excluded: scoreCareerPaths(allCareerPaths, userProfile, careerStage, scoring, { similarities, salaryTarget, feedback })
+        .filter(path => !shortlistedIds.has(path.$id))
+        .sort((a, b) => b.relevanceScore - a.relevanceScore)
+        .map(describeScore)
+    };
+  }
+
+  return responseData;
+};
+
+export const match = (services, payload, context) =>
+  runMatch(services, payload, context, { persistProfile: true });
+
+export const rerank = (services, payload, context) =>
+  runMatch(services, payload, context, { persistProfile: false });
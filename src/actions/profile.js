@@ -0,0 +1,18 @@
+import { AppError } from '../errors.js';
+import { buildProfileRestore } from '../profile.js';
+
+// Put back the talent fields the last match overwrote, from its snapshot
+export const restoreProfile = async (services, payload, context) => {
+  const { config, databases } = services;
+  const userData = await services.getTalent();
+
+  const restore = buildProfileRestore(userData);
+  if (!restore) {
+    throw new AppError('INVALID_REQUEST', "There is no saved profile to restore");
+  }
+
+  await databases.updateDocument(config.databaseId, config.talentsCollectionId, userData.$id, restore);
+  const { profileSnapshot, ...restored } = restore;
+  context.log('Restored user profile:', Object.keys(restored));
+  return { success: true, restored };
+};
@@ -0,0 +1,206 @@
+import { getCatalogVersion, loadCareerPaths } from '../catalog.js';
+import { AppError } from '../errors.js';
+import { getLatestResult } from '../history.js';
+import { listTestTakers, loadRecomputeState, mapWithConcurrency, saveRecomputeState } from '../recompute.js';
+import { createServices } from '../services.js';
+import { rerank } from './match.js';
+
+// Small pages, so a run that times out loses little and an LLM outage is
+// noticed before many talents get fallback rankings
+const PAGE_SIZE = 10;
+
+const topPathId = (result) => result?.recommendations?.[0]?.pathId || null;
+
+// limit and maxModelCalls can lower the configured values for one run, not raise them
+const readOptions = (payload, config) => {
+  const fields = {};
+  const capped = (key, max) => {
+    if (payload[key] === undefined) return max;
+    if (!Number.isInteger(payload[key]) || payload[key] < 1) {
+      fields[key] = 'must be a positive integer';
+      return max;
+    }
+    return Math.min(payload[key], max);
+  };
+  const options = {
+    limit: capped('limit', config.recomputeBatchSize),
+    maxModelCalls: capped('maxModelCalls', config.recomputeMaxModelCalls),
+    cursor: payload.cursor,
+    restart: payload.restart === true
+  };
+  if (options.cursor !== undefined && (typeof options.cursor !== 'string' || !options.cursor)) {
+    fields.cursor = 'must be a talent document ID';
+  }
+  if (Object.keys(fields).length > 0) {
+    throw new AppError('INVALID_REQUEST', "Recompute options are invalid", { fields });
+  }
+  return options;
+};
+
+// Carry on with the stored pass, or start a new one when there is none, the
+// catalog changed since it began or a restart was asked for. null when the
+// last pass finished on the current catalog and there is nothing to do.
+const choosePass = (stored, catalogVersion, options, log) => {
+  const newPass = () => ({
+    catalogVersion,
+    cursor: null,
+    startedAt: new Date().toISOString(),
+    completedAt: null,
+    processed: 0,
+    changed: 0
+  });
+
+  if (options.restart || !stored) return { ...newPass(), cursor: options.cursor || null };
+  if (stored.catalogVersion !== catalogVersion) {
+    log('Catalog changed since the last recompute pass, starting a new one');
+    return { ...newPass(), cursor: options.cursor || null };
+  }
+  if (options.cursor) return { ...stored, cursor: options.cursor, completedAt: null };
+  return stored.completedAt ? null : stored;
+};
+
+// Re-run the stored-data match for one talent, as rerank does, and compare
+// its top recommendation with the one from their latest saved result
+const recomputeTalent = async (services, talent, context) => {
+  const { config, databases } = services;
+  const userId = talent.talentId;
+  const previous = await getLatestResult(databases, config.databaseId, config.resultsCollectionId, userId);
+
+  const talentServices = {
+    ...createServices(config, context, userId, previous?.locale || services.locale),
+    getTalent: async () => talent,
+    // The batch has its own model quota; the user's own limit is left alone
+    checkRateLimit: async () => {}
+  };
+  const result = await rerank(talentServices, {}, context);
+
+  return {
+    userId,
+    previousTop: topPathId(previous),
+    top: topPathId(result),
+    source: result.source,
+    reused: result.reused === true
+  };
+};
+
+// Refresh the saved results of talents who took the test, after catalog
+// changes. Each run handles at most `limit` talents and `maxModelCalls` LLM
+// calls, RECOMPUTE_CONCURRENCY at a time, within RECOMPUTE_TIME_BUDGET_SECONDS,
+// and saves its cursor after every page so the next run (or a scheduled one)
+// resumes from there.
+export const recompute = async (services, payload, context) => {
+  const startedAt = Date.now();
+  const { config, databases } = services;
+  const options = readOptions(payload, config);
+
+  await loadCareerPaths(databases, config, context.log);
+  const catalogVersion = getCatalogVersion();
+  const state = choosePass(await loadRecomputeState(databases, config, context.log), catalogVersion, options, context.log);
+  if (!state) {
+    context.log('Recompute is up to date for catalog version', catalogVersion);
+    return { success: true, done: true, upToDate: true, catalogVersion, processed: 0, changed: 0 };
+  }
+
+  const report = { processed: 0, changed: 0, unchanged: 0, firstResults: 0, reused: 0, fallbacks: 0, modelCalls: 0 };
+  const changes = [];
+  const failed = [];
+  let done = false;
+  let stopReason = null;
+  let slowestPageMs = 0;
+
+  while (!done) {
+    // Every talent may cost one LLM call, so a page never holds more talents
+    // than the quota has left
+    const room = Math.min(options.limit - report.processed, options.maxModelCalls - report.modelCalls, PAGE_SIZE);
+    if (room <= 0) {
+      stopReason = report.processed >= options.limit ? 'limit' : 'modelQuota';
+      break;
+    }
+
+    // A page the function's timeout could cut short is left to the next run:
+    // its talents would get new results and cost model calls, and then be
+    // done again because the cursor was not saved. The first page always runs.
+    if (report.processed > 0 && Date.now() - startedAt + slowestPageMs > config.recomputeTimeBudgetSeconds * 1000) {
+      stopReason = 'timeBudget';
+      break;
+    }
+
+    const pageStartedAt = Date.now();
+    const talents = await listTestTakers(databases, config, state.cursor, room);
+    if (talents.length === 0) {
+      done = true;
+      break;
+    }
+
+    const outcomes = await mapWithConcurrency(talents, config.recomputeConcurrency, talent =>
+      recomputeTalent(services, talent, context).catch(error => ({ userId: talent.talentId, error }))
+    );
+
+    slowestPageMs = Math.max(slowestPageMs, Date.now() - pageStartedAt);
+
+    let pageChanged = 0;
+    for (const outcome of outcomes) {
+      report.processed += 1;
+      if (outcome.error) {
+        context.error('Recompute failed for user:', outcome.userId, outcome.error.code || '', outcome.error.message);
+        failed.push({ userId: outcome.userId, code: outcome.error.code || 'INTERNAL_ERROR' });
+        continue;
+      }
+      if (outcome.reused) report.reused += 1;
+      else report.modelCalls += 1;
+      if (outcome.source === 'fallback') report.fallbacks += 1;
+
+      if (!outcome.previousTop) {
+        report.firstResults += 1;
+      } else if (outcome.previousTop !== outcome.top) {
+        pageChanged += 1;
+        changes.push({ userId: outcome.userId, previousTop: outcome.previousTop, top: outcome.top });
+      } else {
+        report.unchanged += 1;
+      }
+    }
+
+    state.cursor = talents[talents.length - 1].$id;
+    state.processed += outcomes.length;
+    state.changed += pageChanged;
+    report.changed += pageChanged;
+    if (talents.length < room) {
+      done = true;
+      break;
+    }
+    await saveRecomputeState(databases, config, state);
+
+    // When nothing in a page got through to the model it is most likely down
+    // or out of quota; stop rather than fill results with fallback rankings
+    const answered = outcomes.filter(outcome => !outcome.error);
+    if (answered.length > 0 && answered.every(outcome => outcome.source === 'fallback')) {
+      stopReason = 'modelUnavailable';
+      break;
+    }
+  }
+
+  if (done) {
+    state.completedAt = new Date().toISOString();
+    state.cursor = null;
+    await saveRecomputeState(databases, config, state);
+  }
+
+  context.log('Recompute run finished:', { ...report, failed: failed.length, done, stopReason, cursor: state.cursor });
+
+  return {
+    success: true,
+    done,
+    stopReason,
+    cursor: state.cursor,
+    catalogVersion,
+    ...report,
+    failed,
+    changes,
+    pass: {
+      startedAt: state.startedAt,
+      completedAt: state.completedAt,
+      processed: state.processed,
+      changed: state.changed
+    }
+  };
+};
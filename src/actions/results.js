@@ -0,0 +1,14 @@
+import { getLatestResult, getResultHistory } from '../history.js';
+
+// Saved results can be returned without touching the catalog or Gemini
+export const latest = async (services) => {
+  const { config, databases, userId } = services;
+  const result = await getLatestResult(databases, config.databaseId, config.resultsCollectionId, userId);
+  return { success: true, result };
+};
+
+export const history = async (services, payload) => {
+  const { config, databases, userId } = services;
+  const results = await getResultHistory(databases, config.databaseId, config.resultsCollectionId, userId, payload.limit);
+  return { success: true, results };
+};
@@ -0,0 +1,64 @@
+import { loadCareerPaths } from '../catalog.js';
+import { AppError } from '../errors.js';
+import { getLatestResult } from '../history.js';
+import { resolveUserProfile } from '../profile.js';
+import { resolveSalaryTarget } from '../salary.js';
+import { loadTaxonomy } from '../taxonomy.js';
+import { analyzeTransitions } from '../transitions.js';
+
+const MAX_TARGETS = 10;
+
+// How to get from the user's current path to each of the given pathIds, or
+// to the paths recommended in their latest result. Computed from the
+// catalog, so it does not call the LLM.
+export const transitions = async (services, payload, context) => {
+  const { config, databases, userId } = services;
+  const { pathIds } = payload;
+  if (pathIds !== undefined && (!Array.isArray(pathIds) || pathIds.length === 0 || pathIds.length > MAX_TARGETS ||
+      pathIds.some(id => !id || typeof id !== 'string'))) {
+    throw new AppError('INVALID_REQUEST', `pathIds must be a list of 1 to ${MAX_TARGETS} career path IDs`);
+  }
+
+  const userData = await services.getTalent();
+  await loadTaxonomy(databases, config, context.log);
+  const { careerStage, userProfile, answers } = resolveUserProfile(userData, payload.surveyAnswers);
+  const careerPaths = await loadCareerPaths(databases, config, context.log);
+
+  const latest = pathIds && answers
+    ? null
+    : await getLatestResult(databases, config.databaseId, config.resultsCollectionId, userId);
+  if (!pathIds && !latest) {
+    throw new AppError('RESULT_NOT_FOUND', "There is no saved result to analyze; run a match or send pathIds");
+  }
+
+  // The talent document does not keep reasonForChange or changeUrgency, so
+  // without survey answers they come from the survey behind the latest result
+  if (!answers && latest?.careerStage === careerStage) {
+    userProfile.reasonForChange = userProfile.reasonForChange || latest.profile.reasonForChange || '';
+    userProfile.changeUrgency = userProfile.changeUrgency || latest.profile.changeUrgency || '';
+  }
+
+  const pathsById = new Map(careerPaths.map(path => [path.$id, path]));
+  const targetIds = pathIds || latest.recommendations.map(recommendation => recommendation.pathId);
+  const missing = targetIds.filter(id => !pathsById.has(id));
+  if (pathIds && missing.length > 0) {
+    throw new AppError('CAREER_PATH_NOT_FOUND', `Career path not found: ${missing.join(', ')}`);
+  }
+  // Paths removed from the catalog since the saved result are left out
+  if (missing.length > 0) context.log('Skipping paths no longer in the catalog:', missing);
+
+  const analysis = analyzeTransitions(
+    careerPaths,
+    targetIds.filter(id => pathsById.has(id)).map(id => pathsById.get(id)),
+    userProfile,
+    { salaryTarget: resolveSalaryTarget(userProfile, config, context.log), catalogCurrency: config.catalogCurrency }
+  );
+  if (!analysis.currentPath) context.log('Current path not found in the catalog:', userProfile.currentPath);
+
+  return {
+    success: true,
+    careerStage,
+    resultId: pathIds ? null : latest.resultId,
+    ...analysis
+  };
+};
@@ -0,0 +1,32 @@
+import { AppError } from './errors.js';
+import { generateJson as generateProviderJson } from './llm/index.js';
+
+// Call the configured LLM provider and parse the JSON object in its answer
+export const generateJson = async (provider, prompt, context, config = {}) => {
+  context.log(`Calling ${provider.name} (${provider.model})...`);
+  try {
+    return await generateProviderJson(provider, prompt, {
+      timeoutMs: config.llmTimeoutMs,
+      maxRetries: config.llmMaxRetries,
+      deadlineMs: config.llmDeadlineMs,
+      log: context.log
+    });
+  } catch (error) {
+    if (error.code === 'AI_INVALID_OUTPUT') context.error("Failed to parse AI response:", error.message);
+    throw error;
+  }
+};
+
+// Ask the provider for recommendations. Throws if the call fails or the answer
+// does not contain a recommendations array.
+export const getAiRecommendations = async (provider, prompt, context, config) => {
+  const jsonResponse = await generateJson(provider, prompt, context, config);
+
+  // Validate the response structure
+  if (!jsonResponse.recommendations || !Array.isArray(jsonResponse.recommendations)) {
+    context.error("Invalid response structure from AI:", jsonResponse);
+    throw new AppError('AI_INVALID_OUTPUT', "Invalid response structure from AI");
+  }
+
+  return jsonResponse;
+};
@@ -0,0 +1,126 @@
+import { createHash, timingSafeEqual } from 'node:crypto';
+import { Account, Client, Users } from 'node-appwrite';
+import { AppError } from './errors.js';
+
+// Who the request is for, in order of trust:
+// 1. x-appwrite-user-id, set by Appwrite when a signed-in user runs the function
+// 2. an Appwrite JWT in "Authorization: Bearer <jwt>", verified against Appwrite
+// A payload userId is only honoured for admins: callers sending ADMIN_API_KEY
+// in the x-admin-key header, users with the ADMIN_LABEL label and scheduled
+// executions. Everyone else may only send their own userId. Appwrite sets the
+// x-appwrite-* headers itself, so callers cannot supply their own.
+
+const digest = (value) => createHash('sha256').update(String(value)).digest();
+
+// Constant-time comparison so the key cannot be guessed byte by byte
+const isAdminKey = (value, config) =>
+  !!config.adminApiKey && timingSafeEqual(digest(value), digest(config.adminApiKey));
+
+const bearerToken = (header) => {
+  const match = /^Bearer\s+(\S+)$/i.exec(String(header).trim());
+  return match ? match[1] : null;
+};
+
+// The user behind a JWT; Appwrite rejects expired or forged tokens
+const verifyJwt = async (config, jwt) => {
+  const client = new Client()
+    .setEndpoint(config.appwriteEndpoint)
+    .setProject(config.appwriteProjectId)
+    .setJWT(jwt);
+  return new Account(client).get();
+};
+
+const getUserLabels = async (config, userId) => {
+  const client = new Client()
+    .setEndpoint(config.appwriteEndpoint)
+    .setProject(config.appwriteProjectId)
+    .setKey(config.appwriteApiKey);
+  const user = await new Users(client).get(userId);
+  return user.labels || [];
+};
+
+// Resolve the caller and the user the request acts for. Returns
+// { userId, callerId, method, admin }; userId is only null for an admin-only
+// action called with the admin key or from a schedule.
+export const authenticate = async (context, config, payload, route) => {
+  const headers = context.req.headers || {};
+  const logDecision = (decision, details = {}) => context.log('Auth:', { decision, action: route.name, ...details });
+
+  const adminKey = headers['x-admin-key'];
+  const hasAdminKey = adminKey !== undefined && isAdminKey(adminKey, config);
+  if (adminKey !== undefined && !hasAdminKey) {
+    logDecision('rejected admin key');
+    throw new AppError('AUTH_INVALID', "Invalid admin key");
+  }
+
+  // Schedules are set up in the console by the project's owners
+  const scheduled = headers['x-appwrite-trigger'] === 'schedule';
+  const trusted = hasAdminKey || scheduled;
+
+  let callerId = null;
+  let method = hasAdminKey ? 'adminKey' : scheduled ? 'schedule' : null;
+  let labels = null;
+
+  if (headers['x-appwrite-user-id']) {
+    callerId = headers['x-appwrite-user-id'];
+    method = 'platform';
+  } else if (headers.authorization) {
+    const jwt = bearerToken(headers.authorization);
+    if (!jwt) {
+      logDecision('rejected authorization header', { reason: 'not a Bearer token' });
+      throw new AppError('AUTH_INVALID', "Authorization must be a Bearer JWT");
+    }
+    try {
+      const user = await verifyJwt(config, jwt);
+      callerId = user.$id;
+      labels = user.labels || [];
+      method = 'jwt';
+    } catch (e) {
+      logDecision('rejected jwt', { reason: e.message });
+      throw new AppError('AUTH_INVALID', "Invalid or expired token");
+    }
+  }
+
+  // Labels of a platform user are only looked up when admin rights matter
+  const isAdmin = async () => {
+    if (trusted) return true;
+    if (!callerId || !config.adminLabel) return false;
+    if (!labels) {
+      try {
+        labels = await getUserLabels(config, callerId);
+      } catch (e) {
+        context.log('Admin label lookup failed:', e.message);
+        labels = [];
+      }
+    }
+    return labels.includes(config.adminLabel);
+  };
+
+  let userId = callerId;
+  const requested = payload.userId;
+  if (requested !== undefined && requested !== null && requested !== callerId) {
+    if (typeof requested !== 'string' || !requested.trim()) {
+      logDecision('rejected payload userId', { method, callerId, reason: 'not a user ID' });
+      throw new AppError('INVALID_REQUEST', "userId is invalid", { fields: { userId: 'must be a user ID' } });
+    }
+    if (!(await isAdmin())) {
+      logDecision('rejected payload userId', { method, callerId, requestedUserId: requested });
+      throw new AppError('FORBIDDEN', "Only admins can act for another user");
+    }
+    userId = requested;
+  }
+
+  if (route.adminOnly && !(await isAdmin())) {
+    logDecision('rejected admin-only action', { method, callerId });
+    throw new AppError('FORBIDDEN', "This action is only available to admins");
+  }
+
+  if (!userId && !route.adminOnly) {
+    logDecision('no user', { method });
+    throw new AppError('AUTH_REQUIRED', "User authentication required");
+  }
+
+  const admin = trusted || !!labels?.includes(config.adminLabel);
+  logDecision(userId === callerId ? 'authenticated' : 'admin acting for user', { method, callerId, userId, admin });
+  return { userId, callerId, method, admin };
+};
@@ -0,0 +1,126 @@
+import { Query } from 'node-appwrite';
+import { AppError } from './errors.js';
+import { listAllDocuments } from './paging.js';
+
+// Only the attributes the matcher, prompts and caches use
+export const CATALOG_ATTRIBUTES = [
+  '$id',
+  '$updatedAt',
+  'title',
+  'industry',
+  'description',
+  'requiredSkills',
+  'requiredInterests',
+  'suggestedDegrees',
+  'minSalary',
+  'maxSalary'
+];
+
+// The catalog is kept in module scope so warm invocations skip paging through
+// the collection. Within the TTL it is used as is; after that one small query
+// checks whether the collection changed before anything is reloaded.
+let cache = null;
+
+// Version of the collection: document count plus the latest $updatedAt, so
+// additions, edits and deletions all change it
+const fetchCatalogVersion = async (databases, config) => {
+  const result = await databases.listDocuments(
+    config.databaseId,
+    config.careerPathsCollectionId,
+    [Query.orderDesc('$updatedAt'), Query.limit(1), Query.select(['$id', '$updatedAt'])]
+  );
+  return `${result.total}:${result.documents[0]?.$updatedAt || ''}`;
+};
+
+// Every career path, with only the attributes in CATALOG_ATTRIBUTES
+const fetchAllCareerPaths = (databases, config) =>
+  listAllDocuments(databases, config.databaseId, config.careerPathsCollectionId, [Query.select(CATALOG_ATTRIBUTES)]);
+
+// The snapshot document holds the whole catalog as JSON in `value`, with the
+// collection version it was taken at in `version`. A cold instance can read
+// that one document instead of paging through the collection.
+const readSnapshot = async (databases, config, version, log) => {
+  if (!config.catalogSnapshotDocumentId) return null;
+  try {
+    const doc = await databases.getDocument(config.databaseId, config.settingsCollectionId, config.catalogSnapshotDocumentId);
+    if (doc.version !== version) return null;
+    const documents = JSON.parse(doc.value);
+    return Array.isArray(documents) ? documents : null;
+  } catch (error) {
+    log('Catalog snapshot unavailable:', error.message);
+    return null;
+  }
+};
+
+const writeSnapshot = async (databases, config, version, documents, log) => {
+  if (!config.catalogSnapshotDocumentId) return;
+  const data = { version, value: JSON.stringify(documents) };
+  try {
+    await databases.updateDocument(config.databaseId, config.settingsCollectionId, config.catalogSnapshotDocumentId, data);
+  } catch (error) {
+    try {
+      await databases.createDocument(config.databaseId, config.settingsCollectionId, config.catalogSnapshotDocumentId, data);
+    } catch (createError) {
+      log('Failed to save catalog snapshot:', createError.message);
+    }
+  }
+};
+
+export const loadCareerPaths = async (databases, config, log = () => {}) => {
+  const now = Date.now();
+  const ttlMs = config.catalogCacheTtlSeconds * 1000;
+
+  if (cache && now - cache.checkedAt < ttlMs) {
+    log('Using cached career paths');
+    return cache.documents;
+  }
+
+  const version = await fetchCatalogVersion(databases, config);
+  if (cache && cache.version === version) {
+    log('Career paths unchanged, keeping cache');
+    cache.checkedAt = now;
+    return cache.documents;
+  }
+
+  let documents = await readSnapshot(databases, config, version, log);
+  if (documents) {
+    log('Loaded career paths from snapshot');
+  } else {
+    documents = await fetchAllCareerPaths(databases, config);
+    if (documents.length > 0) await writeSnapshot(databases, config, version, documents, log);
+  }
+
+  if (documents.length === 0) {
+    cache = null;
+    throw new AppError('CATALOG_EMPTY', "No career paths found in database");
+  }
+
+  cache = { documents, version, checkedAt: now };
+  return documents;
+};
+
+// Version of the catalog last loaded, or null before the first load
+export const getCatalogVersion = () => cache?.version || null;
+
+// Drop the cached catalog so the next request reloads it
+export const invalidateCatalogCache = () => {
+  cache = null;
+};
+
+// Fetch specific career paths by ID, in the order asked for. Unknown IDs come
+// back as null. Appwrite takes at most 100 values per query, so long lists are
+// fetched in batches.
+export const getCareerPathsById = async (databases, config, pathIds) => {
+  const batchSize = 100;
+  const byId = new Map();
+  for (let i = 0; i < pathIds.length; i += batchSize) {
+    const batch = pathIds.slice(i, i + batchSize);
+    const result = await databases.listDocuments(
+      config.databaseId,
+      config.careerPathsCollectionId,
+      [Query.equal('$id', batch), Query.limit(batch.length), Query.select(CATALOG_ATTRIBUTES)]
+    );
+    for (const path of result.documents) byId.set(path.$id, path);
+  }
+  return pathIds.map(id => byId.get(id) || null);
+};
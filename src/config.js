@@ -0,0 +1,57 @@
+// A number from the environment; anything but an integer of at least min
+// (unset, empty, a typo such as "10s") falls back to the default
+const integerAtLeast = (min) => (value, fallback) => {
+  if (value === undefined || String(value).trim() === '') return fallback;
+  const number = Number(value);
+  return Number.isInteger(number) && number >= min ? number : fallback;
+};
+const positiveInteger = integerAtLeast(1);
+// For settings where 0 turns something off
+const nonNegativeInteger = integerAtLeast(0);
+
+// Access environment variables correctly for Appwrite Cloud Functions
+export const loadConfig = () => ({
+  appwriteEndpoint: process.env.APPWRITE_ENDPOINT,
+  appwriteProjectId: process.env.APPWRITE_PROJECT_ID,
+  appwriteApiKey: process.env.APPWRITE_API_KEY,
+  adminApiKey: process.env.ADMIN_API_KEY,
+  adminLabel: process.env.ADMIN_LABEL ?? 'admin',
+  geminiApiKey: process.env.GEMINI_API_KEY,
+  llmProvider: (process.env.LLM_PROVIDER || 'gemini').toLowerCase(),
+  llmModel: process.env.LLM_MODEL,
+  llmBaseUrl: process.env.LLM_BASE_URL,
+  llmApiKey: process.env.LLM_API_KEY,
+  llmMockResponse: process.env.LLM_MOCK_RESPONSE,
+  llmTimeoutMs: positiveInteger(process.env.LLM_TIMEOUT_MS, 10000),
+  llmMaxRetries: nonNegativeInteger(process.env.LLM_MAX_RETRIES, 1),
+  llmDeadlineMs: positiveInteger(process.env.LLM_DEADLINE_MS, 12000),
+  databaseId: process.env.DATABASE_ID || 'career4me',
+  talentsCollectionId: process.env.TALENTS_COLLECTION_ID || 'talents',
+  careerPathsCollectionId: process.env.CAREER_PATHS_COLLECTION_ID || 'careerPaths',
+  resultsCollectionId: process.env.RESULTS_COLLECTION_ID || 'careerMatchResults',
+  feedbackCollectionId: process.env.FEEDBACK_COLLECTION_ID || 'careerMatchFeedback',
+  rateLimitCollectionId: process.env.RATE_LIMIT_COLLECTION_ID || 'rateLimits',
+  rateLimitWindowSeconds: positiveInteger(process.env.RATE_LIMIT_WINDOW_SECONDS, 3600),
+  rateLimitMaxRequests: nonNegativeInteger(process.env.RATE_LIMIT_MAX_REQUESTS, 30),
+  resultReuseTtlSeconds: nonNegativeInteger(process.env.RESULT_REUSE_TTL_SECONDS, 600),
+  recomputeStateDocumentId: process.env.RECOMPUTE_STATE_DOCUMENT_ID || 'recomputeState',
+  recomputeBatchSize: positiveInteger(process.env.RECOMPUTE_BATCH_SIZE, 50),
+  recomputeConcurrency: positiveInteger(process.env.RECOMPUTE_CONCURRENCY, 3),
+  recomputeMaxModelCalls: positiveInteger(process.env.RECOMPUTE_MAX_MODEL_CALLS, 50),
+  recomputeTimeBudgetSeconds: positiveInteger(process.env.RECOMPUTE_TIME_BUDGET_SECONDS, 10),
+  taxonomyFile: process.env.TAXONOMY_FILE,
+  taxonomyCollectionId: process.env.TAXONOMY_COLLECTION_ID,
+  settingsCollectionId: process.env.SETTINGS_COLLECTION_ID || 'settings',
+  scoringConfig: process.env.SCORING_CONFIG,
+  scoringConfigDocumentId: process.env.SCORING_CONFIG_DOCUMENT_ID,
+  embedder: process.env.EMBEDDER || 'tfidf',
+  embeddingModel: process.env.EMBEDDING_MODEL || 'text-embedding-004',
+  catalogCacheTtlSeconds: nonNegativeInteger(process.env.CATALOG_CACHE_TTL_SECONDS, 300),
+  catalogSnapshotDocumentId: process.env.CATALOG_SNAPSHOT_DOCUMENT_ID,
+  promptVersions: (process.env.PROMPT_VERSION || 'v1').split(',').map(version => version.trim()).filter(Boolean),
+  promptFallbackLocale: process.env.PROMPT_FALLBACK_LOCALE || 'en',
+  defaultLocale: process.env.DEFAULT_LOCALE || 'en',
+  catalogCurrency: (process.env.CATALOG_CURRENCY || 'USD').toUpperCase(),
+  currencyRates: process.env.CURRENCY_RATES,
+  promptTemplatesCollectionId: process.env.PROMPT_TEMPLATES_COLLECTION_ID
+});
@@ -0,0 +1,85 @@
+import { getTaxonomy } from './taxonomy.js';
+
+// FNV-1a hash of a string, used to seed the shuffle
+const hashString = (text) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+// mulberry32: small, fast PRNG that gives the same sequence for the same seed
+export const createSeededRandom = (seed) => {
+  let state = hashString(String(seed));
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Stable order by ID, then a Fisher-Yates shuffle driven by the seed. Without
+// a seed the ID order is kept as is.
+const seededOrder = (paths, seed) => {
+  const ordered = [...paths].sort((a, b) => (a.$id < b.$id ? -1 : a.$id > b.$id ? 1 : 0));
+  if (!seed) return ordered;
+  const random = createSeededRandom(seed);
+  for (let i = ordered.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [ordered[i], ordered[j]] = [ordered[j], ordered[i]];
+  }
+  return ordered;
+};
+
+export const industryKey = (path) =>
+  path.industry ? getTaxonomy().canonicalize('fields', path.industry).toLowerCase() : 'unspecified';
+
+// Build the shortlist from paths already sorted by relevance:
+// 1. take relevant paths in score order, at most maxPerIndustry per industry
+// 2. pad up to minCandidates with unscored paths, favouring industries that
+//    are not represented yet, in an order fixed by the seed
+// 3. if the cap still leaves us short, relax it in score order
+// The same input and seed always produce the same shortlist.
+export const diversifyShortlist = (relevantPaths, otherPaths, settings, seed = '') => {
+  const { minCandidates, maxCandidates, maxPerIndustry } = settings;
+  const shortlist = [];
+  const overflow = [];
+  const perIndustry = new Map();
+  const count = (path) => perIndustry.get(industryKey(path)) || 0;
+  const add = (path) => {
+    shortlist.push(path);
+    perIndustry.set(industryKey(path), count(path) + 1);
+  };
+
+  for (const path of relevantPaths) {
+    if (shortlist.length >= maxCandidates) break;
+    if (count(path) < maxPerIndustry) {
+      add(path);
+    } else {
+      overflow.push(path);
+    }
+  }
+
+  // Padding: each round takes the path from the least represented industry
+  const padding = seededOrder(otherPaths, seed);
+  while (shortlist.length < minCandidates && padding.length > 0) {
+    let bestIndex = -1;
+    for (let i = 0; i < padding.length; i++) {
+      if (count(padding[i]) >= maxPerIndustry) continue;
+      if (bestIndex === -1 || count(padding[i]) < count(padding[bestIndex])) bestIndex = i;
+    }
+    if (bestIndex === -1) break;
+    add(padding.splice(bestIndex, 1)[0]);
+  }
+
+  for (const path of [...overflow, ...padding]) {
+    if (shortlist.length >= minCandidates) break;
+    add(path);
+  }
+
+  return shortlist.slice(0, maxCandidates);
+};
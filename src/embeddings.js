@@ -0,0 +1,166 @@
+import { GoogleGenerativeAI } from '@google/generative-ai';
+import { tokenize } from './taxonomy.js';
+
+// Semantic retrieval: career paths and the user profile are embedded as
+// vectors and compared by cosine similarity. Embedders are pluggable; each one
+// has a name and an async embed(texts) that returns one vector per text.
+// Vectors are either dense arrays or sparse Maps of term -> weight.
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'have', 'i', 'in', 'into',
+  'is', 'it', 'its', 'like', 'love', 'me', 'my', 'not', 'of', 'on', 'or', 'other', 'our', 'so', 'that',
+  'the', 'their', 'them', 'they', 'this', 'to', 'want', 'we', 'who', 'with', 'work', 'you', 'your'
+]);
+
+// Light stemming so "solving"/"solve" and "problems"/"problem" share a term
+const stem = (token) => token
+  .replace(/(ing|ers|er|ed|ies|es|s)$/, (suffix) => (suffix === 'ies' ? 'y' : ''))
+  .replace(/e$/, '');
+
+export const toTerms = (text) => tokenize(text)
+  .filter(token => token.length > 1 && !STOP_WORDS.has(token))
+  .map(token => (token.length > 4 ? stem(token) : token));
+
+export const cosineSimilarity = (a, b) => {
+  if (!a || !b) return 0;
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  if (a instanceof Map) {
+    const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+    for (const [term, weight] of small) dot += weight * (large.get(term) || 0);
+    for (const weight of a.values()) normA += weight * weight;
+    for (const weight of b.values()) normB += weight * weight;
+  } else {
+    for (let i = 0; i < a.length; i++) {
+      dot += a[i] * b[i];
+      normA += a[i] * a[i];
+      normB += b[i] * b[i];
+    }
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+};
+
+// Pure-JS TF-IDF embedder. fit() learns term weights from the career path
+// texts; anything embedded afterwards uses those weights, and terms the
+// catalog never uses are ignored.
+export const createTfidfEmbedder = () => {
+  let idf = new Map();
+
+  const vectorize = (text) => {
+    const counts = new Map();
+    for (const term of toTerms(text)) {
+      if (idf.has(term)) counts.set(term, (counts.get(term) || 0) + 1);
+    }
+    const vector = new Map();
+    for (const [term, count] of counts) {
+      vector.set(term, (1 + Math.log(count)) * idf.get(term));
+    }
+    return vector;
+  };
+
+  return {
+    name: 'tfidf',
+    fit: async (texts) => {
+      const documentFrequency = new Map();
+      for (const text of texts) {
+        for (const term of new Set(toTerms(text))) {
+          documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+        }
+      }
+      idf = new Map();
+      for (const [term, frequency] of documentFrequency) {
+        idf.set(term, Math.log((1 + texts.length) / (1 + frequency)) + 1);
+      }
+    },
+    embed: async (texts) => texts.map(vectorize)
+  };
+};
+
+// Gemini embedding model; needs network access and a Gemini key
+export const createGeminiEmbedder = (apiKey, modelName = 'text-embedding-004') => {
+  const model = new GoogleGenerativeAI(apiKey).getGenerativeModel({ model: modelName });
+  const batchSize = 100;
+
+  return {
+    name: `gemini:${modelName}`,
+    fit: async () => {},
+    embed: async (texts) => {
+      const vectors = [];
+      for (let i = 0; i < texts.length; i += batchSize) {
+        const batch = texts.slice(i, i + batchSize);
+        const result = await model.batchEmbedContents({
+          requests: batch.map(text => ({ content: { role: 'user', parts: [{ text }] } }))
+        });
+        vectors.push(...result.embeddings.map(embedding => embedding.values));
+      }
+      return vectors;
+    }
+  };
+};
+
+// EMBEDDER selects the implementation: "tfidf" (default), "gemini" or "none"
+export const createEmbedder = (config) => {
+  const kind = (config.embedder || 'tfidf').toLowerCase();
+  if (kind === 'none') return null;
+  if (kind === 'gemini') return createGeminiEmbedder(config.geminiApiKey, config.embeddingModel);
+  return createTfidfEmbedder();
+};
+
+export const careerPathText = (path) => [
+  path.title,
+  path.description,
+  path.industry,
+  ...(path.requiredSkills || []),
+  ...(path.requiredInterests || []),
+  ...(path.suggestedDegrees || [])
+].filter(Boolean).join('. ');
+
+export const profileText = (userProfile) => [
+  ...(userProfile.interests || []),
+  ...(userProfile.interestedFields || []),
+  ...(userProfile.currentSkills || []),
+  ...(userProfile.interestedSkills || []),
+  userProfile.program,
+  userProfile.careerGoals,
+  userProfile.reasonForChange,
+  userProfile.workEnvironment,
+  userProfile.preferredWorkEnvironment
+].filter(value => value && value !== 'Not specified').join('. ');
+
+// Catalog vectors are kept in module scope and rebuilt only when the embedder
+// or the catalog (IDs and update times) changes
+const indexCache = new Map();
+
+const catalogSignature = (careerPaths) =>
+  careerPaths.map(path => `${path.$id}@${path.$updatedAt || ''}`).join('|');
+
+const getPathIndex = async (embedder, careerPaths) => {
+  const signature = catalogSignature(careerPaths);
+  const cached = indexCache.get(embedder.name);
+  if (cached && cached.signature === signature) return cached;
+
+  const texts = careerPaths.map(careerPathText);
+  await embedder.fit(texts);
+  const vectors = await embedder.embed(texts);
+  const index = {
+    signature,
+    embedder,
+    vectors: new Map(careerPaths.map((path, i) => [path.$id, vectors[i]]))
+  };
+  indexCache.set(embedder.name, index);
+  return index;
+};
+
+// Cosine similarity between the user profile and every career path, keyed by
+// path ID. A cached index keeps its own fitted embedder so queries are
+// embedded with the same term weights as the catalog.
+export const computeSimilarities = async (embedder, careerPaths, userProfile) => {
+  const index = await getPathIndex(embedder, careerPaths);
+  const [profileVector] = await index.embedder.embed([profileText(userProfile)]);
+  const similarities = new Map();
+  for (const [pathId, vector] of index.vectors) {
+    similarities.set(pathId, cosineSimilarity(profileVector, vector));
+  }
+  return similarities;
+};
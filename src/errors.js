@@ -0,0 +1,56 @@
+// Stable error codes returned to the client, with the HTTP status each maps to
+export const ERROR_CODES = {
+  INVALID_REQUEST: 400,
+  INVALID_SURVEY_ANSWERS: 400,
+  AUTH_REQUIRED: 401,
+  AUTH_INVALID: 401,
+  FORBIDDEN: 403,
+  ROUTE_NOT_FOUND: 404,
+  TALENT_NOT_FOUND: 404,
+  CAREER_PATH_NOT_FOUND: 404,
+  RESULT_NOT_FOUND: 404,
+  UNSUPPORTED_CAREER_STAGE: 422,
+  RATE_LIMITED: 429,
+  CONFIG_MISSING: 500,
+  INTERNAL_ERROR: 500,
+  AI_INVALID_OUTPUT: 502,
+  AI_UNAVAILABLE: 503,
+  CATALOG_EMPTY: 503
+};
+
+// An error whose message is safe to show to the caller. Anything that should
+// only be logged goes in details; per-field messages for the client go in
+// fields; retryAfter (seconds) is sent back for RATE_LIMITED.
+export class AppError extends Error {
+  constructor(code, message, { details, fields, retryAfter } = {}) {
+    super(message);
+    this.name = 'AppError';
+    this.code = ERROR_CODES[code] ? code : 'INTERNAL_ERROR';
+    this.status = ERROR_CODES[this.code];
+    this.details = details;
+    this.fields = fields;
+    this.retryAfter = retryAfter;
+  }
+}
+
+// Shape any thrown error into the response body, status and headers.
+// Unexpected errors are reported generically so internal details never reach
+// the client.
+export const toErrorResponse = (error, requestId) => {
+  const appError = error instanceof AppError
+    ? error
+    : new AppError('INTERNAL_ERROR', 'An unexpected error occurred');
+
+  return {
+    status: appError.status,
+    body: {
+      success: false,
+      error: appError.message,
+      code: appError.code,
+      ...(appError.fields && { fields: appError.fields }),
+      ...(appError.retryAfter !== undefined && { retryAfter: appError.retryAfter }),
+      requestId
+    },
+    headers: appError.retryAfter !== undefined ? { 'Retry-After': String(appError.retryAfter) } : {}
+  };
+};
@@ -0,0 +1,91 @@
+import { createTranslator } from './i18n.js';
+import { matchPathToProfile, resolveCurrentPath } from './matching.js';
+
+// Stages with their own advice in the translation bundles
+const ADVICE_STAGES = ['Pathfinder', 'Trailblazer', 'Horizon Changer'];
+
+const joinList = (items) => items.slice(0, 3).join(', ');
+
+// Turn the keyword overlap into a 0-100 score. Paths the AI would normally
+// rank first (a Trailblazer's current path) are pinned at the top.
+const computeMatchScore = (match, isCurrentPath) => {
+  if (isCurrentPath) return 95;
+
+  const interestRatio = match.requiredInterests.length
+    ? match.matchedInterests.length / match.requiredInterests.length
+    : 0;
+  const skillRatio = match.requiredSkills.length
+    ? match.matchedSkills.length / match.requiredSkills.length
+    : 0;
+
+  const score = 40
+    + 25 * interestRatio
+    + 20 * skillRatio
+    + (match.industryMatch ? 10 : 0)
+    + (match.degreeMatch ? 5 : 0);
+
+  return Math.min(94, Math.round(score));
+};
+
+const buildReason = (path, match, userProfile, isCurrentPath, t) => {
+  const parts = [];
+
+  if (isCurrentPath) {
+    parts.push(t('reason.currentPath', { title: path.title }));
+  }
+  if (match.matchedInterests.length > 0) {
+    parts.push(t('reason.interests', { items: joinList(match.matchedInterests) }));
+  }
+  if (match.matchedSkills.length > 0) {
+    parts.push(t('reason.skills', { items: joinList(match.matchedSkills) }));
+  }
+  if (match.industryMatch) {
+    parts.push(t('reason.industry', { industry: path.industry }));
+  }
+  if (match.degreeMatch) {
+    parts.push(t('reason.degree', { program: userProfile.program }));
+  }
+
+  if (parts.length === 0) {
+    return path.industry
+      ? t('reason.broadenInto', { title: path.title, industry: path.industry })
+      : t('reason.broaden', { title: path.title });
+  }
+
+  const sentence = parts.join('; ');
+  return `${sentence.charAt(0).toUpperCase()}${sentence.slice(1)}.`;
+};
+
+// Build a single recommendation for a career path from keyword overlap alone.
+// t is the translator for the response locale; currentPathId is the $id of
+// the user's current path (see resolveCurrentPath), if it is in the catalog.
+export const buildFallbackRecommendation = (path, userProfile, careerStage, t = createTranslator(), currentPathId = null) => {
+  const match = matchPathToProfile(path, userProfile);
+  const isCurrentPath = careerStage === 'Trailblazer' && !!currentPathId && path.$id === currentPathId;
+  return {
+    pathId: path.$id,
+    title: path.title,
+    matchScore: computeMatchScore(match, isCurrentPath),
+    reason: buildReason(path, match, userProfile, isCurrentPath, t),
+    improvementAreas: match.missingSkills.slice(0, 3)
+  };
+};
+
+// Deterministic, non-AI recommendations built from the pre-filtered career paths.
+// Used whenever the LLM fails or returns something we cannot use, so the survey
+// never dead-ends.
+export const buildFallbackRecommendations = (filteredCareerPaths, userProfile, careerStage, t = createTranslator()) => {
+  const currentPathId = resolveCurrentPath(filteredCareerPaths, userProfile.currentPath)?.$id;
+  const scored = filteredCareerPaths.map((path, index) => ({
+    index,
+    recommendation: buildFallbackRecommendation(path, userProfile, careerStage, t, currentPathId)
+  }));
+
+  // Highest score first; ties keep the pre-filter order so the result is stable
+  scored.sort((a, b) => b.recommendation.matchScore - a.recommendation.matchScore || a.index - b.index);
+
+  return {
+    recommendations: scored.slice(0, 5).map(({ recommendation }) => recommendation),
+    generalAdvice: t(`advice.${ADVICE_STAGES.includes(careerStage) ? careerStage : 'Pathfinder'}`)
+  };
+};
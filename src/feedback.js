@@ -0,0 +1,82 @@
+import { ID, Query } from 'node-appwrite';
+import { industryKey } from './diversity.js';
+import { listAllDocuments } from './paging.js';
+
+// Thumbs up/down on recommended paths, one document per (userId, pathId,
+// resultId) in the feedback collection. A user's latest rating of a path is
+// what the pre-filter uses; the aggregate per path is a content-quality stat.
+
+export const FEEDBACK_RATINGS = ['up', 'down'];
+export const MAX_FEEDBACK_REASON = 500;
+const RECENT_REASONS = 5;
+
+// Record or replace the user's rating of one path in one run
+export const saveFeedback = async (databases, config, { userId, pathId, resultId, rating, reason }) => {
+  const data = { userId, pathId, resultId, rating, reason: reason || '', createdAt: new Date().toISOString() };
+  const existing = await databases.listDocuments(
+    config.databaseId,
+    config.feedbackCollectionId,
+    [Query.equal('userId', userId), Query.equal('pathId', pathId), Query.equal('resultId', resultId), Query.limit(1)]
+  );
+  if (existing.documents.length > 0) {
+    const doc = await databases.updateDocument(config.databaseId, config.feedbackCollectionId, existing.documents[0].$id, data);
+    return doc.$id;
+  }
+  const doc = await databases.createDocument(config.databaseId, config.feedbackCollectionId, ID.unique(), data);
+  return doc.$id;
+};
+
+const listAllFeedback = (databases, config, queries) =>
+  listAllDocuments(databases, config.databaseId, config.feedbackCollectionId, [...queries, Query.orderDesc('createdAt')]);
+
+// The user's latest rating per path, as a Map of pathId -> 'up' | 'down'
+export const getUserRatings = async (databases, config, userId) => {
+  const documents = await listAllFeedback(databases, config, [Query.equal('userId', userId)]);
+  const ratings = new Map();
+  for (const doc of documents) {
+    if (!ratings.has(doc.pathId)) ratings.set(doc.pathId, doc.rating);
+  }
+  return ratings;
+};
+
+// What the pre-filter needs from a user's ratings: the paths they dismissed
+// and the industries (canonical keys) they rated up more often than down
+export const summarizeRatings = (ratings, careerPaths) => {
+  const dismissedPathIds = new Set();
+  const balance = new Map();
+  const pathsById = new Map(careerPaths.map(path => [path.$id, path]));
+  for (const [pathId, rating] of ratings) {
+    if (rating === 'down') dismissedPathIds.add(pathId);
+    const path = pathsById.get(pathId);
+    if (!path?.industry) continue;
+    const key = industryKey(path);
+    balance.set(key, (balance.get(key) || 0) + (rating === 'up' ? 1 : -1));
+  }
+  const likedIndustries = new Set([...balance].filter(([, score]) => score > 0).map(([key]) => key));
+  return { dismissedPathIds, likedIndustries };
+};
+
+// Up/down counts per path, worst first, with the most recent reasons given
+// for thumbs down. Reasons are returned without the users who gave them.
+export const getFeedbackStats = async (databases, config, pathId = null) => {
+  const queries = pathId ? [Query.equal('pathId', pathId)] : [];
+  const documents = await listAllFeedback(databases, config, queries);
+
+  const stats = new Map();
+  for (const doc of documents) {
+    const entry = stats.get(doc.pathId) || { pathId: doc.pathId, up: 0, down: 0, recentReasons: [] };
+    entry[doc.rating === 'up' ? 'up' : 'down'] += 1;
+    if (doc.rating === 'down' && doc.reason && entry.recentReasons.length < RECENT_REASONS) {
+      entry.recentReasons.push(doc.reason);
+    }
+    stats.set(doc.pathId, entry);
+  }
+
+  return [...stats.values()]
+    .map(entry => ({
+      ...entry,
+      total: entry.up + entry.down,
+      downRatio: Math.round((entry.down / (entry.up + entry.down)) * 100) / 100
+    }))
+    .sort((a, b) => b.downRatio - a.downRatio || b.total - a.total || (a.pathId < b.pathId ? -1 : 1));
+};
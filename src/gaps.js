@@ -0,0 +1,102 @@
+import { getTaxonomy, termsMatch } from './taxonomy.js';
+
+// Structured skill-gap analysis and learning roadmap for a recommended path,
+// computed from the catalog rather than the model so the UI can render
+// progress bars and checklists from it.
+
+// Months covered by the short, medium and long term steps, by how soon the
+// user wants to change. Users without an urgency (Pathfinders, Trailblazers)
+// get the default pace.
+const ROADMAP_PACE = {
+  Immediately: [1, 3, 6],
+  'Within 6 months': [2, 4, 6],
+  'Within a year': [3, 6, 12],
+  'Just exploring': [3, 12, 24],
+  default: [3, 6, 12]
+};
+
+// Share of the missing skills tackled in the short and medium term by
+// seniority; the rest is long term. Experienced users pick up skills faster,
+// so more of the work is front-loaded.
+const SENIORITY_SHARES = {
+  'Entry Level': [1 / 3, 1 / 3],
+  Junior: [1 / 3, 1 / 3],
+  'Mid-Level': [0.4, 0.4],
+  Senior: [0.5, 0.3],
+  Lead: [0.5, 0.3],
+  Executive: [0.5, 0.3],
+  default: [1 / 3, 1 / 3]
+};
+
+// Seniority levels where a missing degree is no longer worth a roadmap step
+const EXPERIENCED_LEVELS = ['Senior', 'Lead', 'Executive'];
+
+const ROADMAP_TERMS = ['short', 'medium', 'long'];
+
+// Compare a path's requirements with what the user has. Only current skills
+// count as covered; missing skills the user already wants to learn are
+// listed as planned.
+export const analyzeSkillGap = (path, userProfile) => {
+  const taxonomy = getTaxonomy();
+  const currentSkills = taxonomy.canonicalizeList('skills', userProfile.currentSkills || []);
+  const interestedSkills = taxonomy.canonicalizeList('skills', userProfile.interestedSkills || []);
+  const requiredSkills = taxonomy.canonicalizeList('skills', Array.isArray(path.requiredSkills) ? path.requiredSkills : []);
+  const suggestedDegrees = Array.isArray(path.suggestedDegrees) ? path.suggestedDegrees : [];
+  // Survey answers give the program; a stored profile has every recorded degree
+  const userDegrees = [userProfile.program, ...(userProfile.degrees || [])].filter(Boolean);
+
+  const matchedSkills = requiredSkills.filter(skill => currentSkills.some(own => termsMatch(own, skill)));
+  const missingSkills = requiredSkills.filter(skill => !matchedSkills.includes(skill));
+  const plannedSkills = missingSkills.filter(skill => interestedSkills.some(wanted => termsMatch(wanted, skill)));
+
+  return {
+    requiredSkills,
+    matchedSkills,
+    missingSkills,
+    plannedSkills,
+    coverage: requiredSkills.length ? Math.round((matchedSkills.length / requiredSkills.length) * 100) : 100,
+    suggestedDegrees,
+    degreeMatch: suggestedDegrees.some(degree => userDegrees.some(own => termsMatch(degree, own)))
+  };
+};
+
+// Split the missing skills into short, medium and long term steps. Skills the
+// user already wants to learn come first; a missing degree is a long term step
+// for users who are not yet senior.
+export const buildLearningRoadmap = (gap, userProfile) => {
+  const pace = ROADMAP_PACE[userProfile.changeUrgency] || ROADMAP_PACE.default;
+  const [shortShare, mediumShare] = SENIORITY_SHARES[userProfile.seniorityLevel] || SENIORITY_SHARES.default;
+
+  const ordered = [...gap.plannedSkills, ...gap.missingSkills.filter(skill => !gap.plannedSkills.includes(skill))];
+  // There is always something to start on now, and the medium term is only
+  // skipped when nothing is left for it
+  const shortCount = ordered.length ? Math.max(1, Math.round(ordered.length * shortShare)) : 0;
+  const mediumCount = Math.min(
+    ordered.length - shortCount,
+    Math.max(ordered.length > shortCount ? 1 : 0, Math.round(ordered.length * mediumShare))
+  );
+  const skillsByTerm = [
+    ordered.slice(0, shortCount),
+    ordered.slice(shortCount, shortCount + mediumCount),
+    ordered.slice(shortCount + mediumCount)
+  ];
+
+  const needsDegree = gap.suggestedDegrees.length > 0 && !gap.degreeMatch
+    && !EXPERIENCED_LEVELS.includes(userProfile.seniorityLevel);
+
+  return ROADMAP_TERMS
+    .map((term, index) => ({
+      term,
+      fromMonth: index === 0 ? 0 : pace[index - 1],
+      toMonth: pace[index],
+      skills: skillsByTerm[index],
+      degrees: term === 'long' && needsDegree ? gap.suggestedDegrees : []
+    }))
+    .filter(step => step.skills.length > 0 || step.degrees.length > 0);
+};
+
+// Attach the gap analysis and roadmap to a recommendation for a catalog path
+export const withSkillGap = (recommendation, path, userProfile) => {
+  const skillGap = analyzeSkillGap(path, userProfile);
+  return { ...recommendation, skillGap, roadmap: buildLearningRoadmap(skillGap, userProfile) };
+};
@@ -0,0 +1,109 @@
+import { createHash } from 'node:crypto';
+import { ID, Query } from 'node-appwrite';
+
+const MAX_HISTORY_LIMIT = 50;
+
+// Appwrite attributes can't hold nested objects, so structured fields are
+// stored as JSON strings and parsed again on the way out
+const parseJsonField = (value, fallback) => {
+  if (typeof value !== 'string') return value ?? fallback;
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return fallback;
+  }
+};
+
+export const formatResult = (doc) => ({
+  resultId: doc.$id,
+  userId: doc.userId,
+  careerStage: doc.careerStage,
+  profile: parseJsonField(doc.profile, {}),
+  candidates: parseJsonField(doc.candidates, []),
+  recommendations: parseJsonField(doc.recommendations, []),
+  generalAdvice: doc.generalAdvice || '',
+  source: doc.source,
+  model: doc.model,
+  promptVersion: doc.promptVersion,
+  locale: doc.locale,
+  createdAt: doc.createdAt || doc.$createdAt
+});
+
+// Save a completed survey run so it can be shown again without a new Gemini call
+export const saveMatchResult = async (databases, databaseId, collectionId, run) => {
+  const doc = await databases.createDocument(
+    databaseId,
+    collectionId,
+    ID.unique(),
+    {
+      userId: run.userId,
+      careerStage: run.careerStage,
+      profile: JSON.stringify(run.profile),
+      candidates: JSON.stringify(run.candidates.map(path => ({
+        pathId: path.$id,
+        relevanceScore: path.relevanceScore
+      }))),
+      recommendations: JSON.stringify(run.recommendations),
+      generalAdvice: run.generalAdvice,
+      source: run.source,
+      model: run.model,
+      promptVersion: run.promptVersion,
+      locale: run.locale,
+      requestKey: run.requestKey || null,
+      createdAt: new Date().toISOString()
+    }
+  );
+  return doc.$id;
+};
+
+export const getResultHistory = async (databases, databaseId, collectionId, userId, limit = 10) => {
+  const safeLimit = Math.min(MAX_HISTORY_LIMIT, Math.max(1, parseInt(limit, 10) || 10));
+  const results = await databases.listDocuments(
+    databaseId,
+    collectionId,
+    [
+      Query.equal('userId', userId),
+      Query.orderDesc('$createdAt'),
+      Query.limit(safeLimit)
+    ]
+  );
+  return results.documents.map(formatResult);
+};
+
+export const getLatestResult = async (databases, databaseId, collectionId, userId) => {
+  const [latest] = await getResultHistory(databases, databaseId, collectionId, userId, 1);
+  return latest || null;
+};
+
+// Lists are order-insensitive and text is case-insensitive, so the same
+// answers always give the same key
+const normalize = (value) => {
+  if (Array.isArray(value)) return value.map(normalize).sort();
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.keys(value).sort().map(key => [key, normalize(value[key])]));
+  }
+  return typeof value === 'string' ? value.trim().toLowerCase() : value;
+};
+
+// Hash of everything that determines a match result: the action, the user,
+// their normalized profile, the catalog version and any other inputs passed in
+export const buildRequestKey = (parts) =>
+  createHash('sha256').update(JSON.stringify(normalize(parts))).digest('hex');
+
+// The user's latest result saved under requestKey, if it is younger than maxAgeMs
+export const findReusableResult = async (databases, databaseId, collectionId, userId, requestKey, maxAgeMs) => {
+  const results = await databases.listDocuments(
+    databaseId,
+    collectionId,
+    [
+      Query.equal('userId', userId),
+      Query.equal('requestKey', requestKey),
+      Query.orderDesc('$createdAt'),
+      Query.limit(1)
+    ]
+  );
+  const [doc] = results.documents;
+  if (!doc) return null;
+  const result = formatResult(doc);
+  return Date.now() - Date.parse(result.createdAt) < maxAgeMs ? result : null;
+};
@@ -0,0 +1,80 @@
+import { readdirSync, readFileSync } from 'node:fs';
+import { AppError } from './errors.js';
+
+// Translation bundles for the strings the server writes itself (fallback
+// reasons, advice and comparisons), one per locale in src/data/locales.
+// Anything a bundle is missing is taken from English.
+
+export const BASE_LOCALE = 'en';
+
+const LOCALES_DIR = new URL('./data/locales/', import.meta.url);
+
+const bundles = Object.fromEntries(
+  readdirSync(LOCALES_DIR)
+    .filter(file => file.endsWith('.json'))
+    .map(file => [file.slice(0, -'.json'.length), JSON.parse(readFileSync(new URL(file, LOCALES_DIR), 'utf8'))])
+);
+
+export const SUPPORTED_LOCALES = Object.keys(bundles).sort();
+
+// BCP 47 style tags: "es", "pt-BR", "zh-Hant-TW"
+const LOCALE_PATTERN = /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i;
+
+// The supported locale for a tag: an exact match, else its base language
+const toSupported = (tag) => {
+  const lower = tag.toLowerCase();
+  const exact = SUPPORTED_LOCALES.find(locale => locale.toLowerCase() === lower);
+  if (exact) return exact;
+  const base = lower.split('-')[0];
+  return SUPPORTED_LOCALES.includes(base) ? base : null;
+};
+
+// Accept-Language tags, highest quality first
+const parseAcceptLanguage = (header) => header
+  .split(',')
+  .map((part, index) => {
+    const [tag, ...params] = part.trim().split(';');
+    const quality = params.map(param => param.trim()).find(param => param.startsWith('q='));
+    return { tag: tag.trim(), quality: quality ? Number(quality.slice(2)) : 1, index };
+  })
+  .filter(entry => LOCALE_PATTERN.test(entry.tag) && entry.quality > 0)
+  .sort((a, b) => b.quality - a.quality || a.index - b.index)
+  .map(entry => entry.tag);
+
+// Pick the response locale: the payload's locale, then the Accept-Language
+// header, then DEFAULT_LOCALE. A malformed payload locale is rejected; a
+// well-formed but unsupported one falls back to the default.
+export const resolveLocale = (requested, acceptLanguage, config, log = () => {}) => {
+  const defaultLocale = toSupported(config.defaultLocale || BASE_LOCALE) || BASE_LOCALE;
+
+  if (requested !== undefined && requested !== null) {
+    if (typeof requested !== 'string' || !LOCALE_PATTERN.test(requested)) {
+      throw new AppError('INVALID_REQUEST', "locale is invalid", {
+        fields: { locale: 'must be a language tag such as "en" or "es-MX"' }
+      });
+    }
+    const locale = toSupported(requested);
+    if (locale) return locale;
+    log(`Locale "${requested}" is not supported, using ${defaultLocale}`);
+    return defaultLocale;
+  }
+
+  if (typeof acceptLanguage === 'string') {
+    for (const tag of parseAcceptLanguage(acceptLanguage)) {
+      const locale = toSupported(tag);
+      if (locale) return locale;
+    }
+  }
+  return defaultLocale;
+};
+
+const lookup = (bundle, key) => key.split('.').reduce((value, part) => value?.[part], bundle);
+
+// t(key, values) for one locale, e.g. t('reason.skills', { items: 'Python, SQL' })
+export const createTranslator = (locale = BASE_LOCALE) => (key, values = {}) => {
+  const template = lookup(bundles[locale], key) ?? lookup(bundles[BASE_LOCALE], key) ?? key;
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (placeholder, name) => values[name] ?? '');
+};
+
+// English name of a locale's language, for telling the model what to answer in
+export const languageName = (locale) => bundles[locale]?.languageName || locale;
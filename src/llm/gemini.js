@@ -0,0 +1,29 @@
+import { GoogleGenerativeAI } from '@google/generative-ai';
+
+export const GEMINI_MODEL = 'gemini-2.5-flash';
+
+// Gemini through the official SDK, asking for a JSON response directly
+export const createGeminiProvider = ({ apiKey, model = GEMINI_MODEL }) => {
+  const genAI = new GoogleGenerativeAI(apiKey);
+  const generativeModel = genAI.getGenerativeModel({
+    model,
+    generationConfig: {
+      responseMimeType: 'application/json'
+    },
+    config: {
+      thinkingConfig: {
+        thinkingBudget: 0,
+      },
+    },
+  });
+
+  return {
+    name: 'gemini',
+    model,
+    generateText: async (prompt, { signal } = {}) => {
+      const result = await generativeModel.generateContent(prompt, { signal });
+      const response = await result.response;
+      return response.text();
+    }
+  };
+};
@@ -0,0 +1,109 @@
+import { AppError } from '../errors.js';
+import { createGeminiProvider, GEMINI_MODEL } from './gemini.js';
+import { createMockProvider } from './mock.js';
+import { createOpenAiProvider } from './openai.js';
+
+// LLM providers share one interface: { name, model, generateText(prompt, { signal }) }.
+// generateJson below adds the timeout, retries and JSON parsing on top, so a
+// provider only has to return the model's text.
+
+// Environment variables each provider needs, for the startup config check
+export const missingProviderConfig = (config) => {
+  const provider = config.llmProvider;
+  if (provider === 'mock') return [];
+  if (provider === 'openai') {
+    return [
+      ...(config.llmBaseUrl ? [] : ['LLM_BASE_URL']),
+      ...(config.llmModel ? [] : ['LLM_MODEL'])
+    ];
+  }
+  return config.geminiApiKey ? [] : ['GEMINI_API_KEY'];
+};
+
+// LLM_PROVIDER selects the implementation: "gemini" (default), "openai" or "mock".
+// LLM_MOCK_RESPONSE gives the mock one fixed answer, e.g. to run the fallbacks.
+export const createProvider = (config) => {
+  if (config.llmProvider === 'mock') {
+    const { llmMockResponse } = config;
+    return createMockProvider(llmMockResponse === undefined ? {} : { responses: () => llmMockResponse });
+  }
+  if (config.llmProvider === 'openai') {
+    return createOpenAiProvider({ baseUrl: config.llmBaseUrl, apiKey: config.llmApiKey, model: config.llmModel });
+  }
+  return createGeminiProvider({ apiKey: config.geminiApiKey, model: config.llmModel || GEMINI_MODEL });
+};
+
+// Pull the JSON object out of a model answer, tolerating markdown fences and
+// text around it
+export const parseJsonText = (text) => {
+  // Clean the response text to remove any markdown formatting
+  const cleanedText = text.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
+  try {
+    return JSON.parse(cleanedText);
+  } catch (e) {
+    // If JSON parsing fails, try to extract JSON from text
+    const jsonMatch = text.match(/\{[\s\S]*\}/);
+    if (!jsonMatch) {
+      throw new AppError('AI_INVALID_OUTPUT', "No valid JSON found in AI response");
+    }
+    try {
+      return JSON.parse(jsonMatch[0]);
+    } catch (e2) {
+      throw new AppError('AI_INVALID_OUTPUT', "Failed to parse AI response as JSON");
+    }
+  }
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Worth another attempt: timeouts, network failures, rate limits and server errors
+const isRetryable = (error) =>
+  error.name === 'AbortError' || error.name === 'TimeoutError' || !error.status || error.status === 429 || error.status >= 500;
+
+const callWithTimeout = async (provider, prompt, timeoutMs) => {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    return await provider.generateText(prompt, { signal: controller.signal });
+  } catch (error) {
+    if (controller.signal.aborted) {
+      const timeoutError = new Error(`LLM call timed out after ${timeoutMs}ms`);
+      timeoutError.name = 'TimeoutError';
+      throw timeoutError;
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+// Generate a JSON object from a prompt. Each attempt is bounded by timeoutMs
+// and all attempts together by deadlineMs, so a slow provider cannot outlast
+// the function's own timeout; transient failures are retried up to maxRetries
+// times, waiting backoffMs, 2 x backoffMs, 4 x backoffMs, ... in between.
+export const generateJson = async (provider, prompt, { timeoutMs = 10000, maxRetries = 1, deadlineMs = 12000, backoffMs = 500, log = () => {} } = {}) => {
+  const deadline = Date.now() + deadlineMs;
+  let lastError;
+  for (let attempt = 0; attempt <= maxRetries; attempt++) {
+    if (attempt > 0) {
+      const delay = backoffMs * 2 ** (attempt - 1);
+      // Not worth starting an attempt that would be cut short by the deadline
+      if (deadline - Date.now() - delay < Math.min(timeoutMs, 1000)) {
+        log(`Not retrying LLM call, the ${deadlineMs}ms deadline is too close`);
+        break;
+      }
+      log(`Retrying LLM call in ${delay}ms (attempt ${attempt + 1} of ${maxRetries + 1})`);
+      await sleep(delay);
+    }
+    try {
+      const text = await callWithTimeout(provider, prompt, Math.min(timeoutMs, deadline - Date.now()));
+      log('LLM response received, length:', text.length);
+      return parseJsonText(text);
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      lastError = error;
+      if (!isRetryable(error)) break;
+    }
+  }
+  throw new AppError('AI_UNAVAILABLE', "AI service is unavailable", { details: lastError?.message });
+};
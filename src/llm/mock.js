@@ -0,0 +1,62 @@
+// Deterministic provider for tests and local runs without network access.
+// It answers from the prompt itself: recommendation prompts get the listed
+// career paths in order, compare prompts prefer the first path, and explain
+// prompts get a fixed explanation. Canned responses can be passed in to
+// override that, either as a list used in order or as a function of the prompt.
+const CAREER_PATH_ID = /\(ID: ([^)]+)\)/g;
+
+const respondToPrompt = (prompt) => {
+  const pathIds = [...prompt.matchAll(CAREER_PATH_ID)].map(match => match[1]);
+  const titles = [...prompt.matchAll(/^\s*- (.+) \(ID: [^)]+\)$/gm)].map(match => match[1]);
+
+  if (prompt.includes('"recommendations"')) {
+    return {
+      recommendations: pathIds.slice(0, 5).map((pathId, index) => ({
+        pathId,
+        title: titles[index],
+        matchScore: 90 - index * 5,
+        reason: `Mock recommendation #${index + 1}`,
+        improvementAreas: []
+      })),
+      generalAdvice: 'Mock advice'
+    };
+  }
+
+  if (prompt.includes('"betterFitPathId"')) {
+    return {
+      paths: pathIds.map((pathId, index) => ({
+        pathId,
+        matchScore: 80 - index * 10,
+        strengths: ['Mock strength'],
+        drawbacks: ['Mock drawback']
+      })),
+      betterFitPathId: pathIds[0],
+      summary: 'Mock comparison'
+    };
+  }
+
+  return { matchScore: 75, reason: 'Mock explanation', improvementAreas: [] };
+};
+
+export const createMockProvider = ({ responses } = {}) => {
+  const queue = Array.isArray(responses) ? [...responses] : null;
+
+  return {
+    name: 'mock',
+    model: 'mock',
+    prompts: [],
+    async generateText(prompt) {
+      this.prompts.push(prompt);
+      let response;
+      if (typeof responses === 'function') {
+        response = responses(prompt);
+      } else if (queue && queue.length > 0) {
+        response = queue.shift();
+      } else {
+        response = respondToPrompt(prompt);
+      }
+      if (response instanceof Error) throw response;
+      return typeof response === 'string' ? response : JSON.stringify(response);
+    }
+  };
+};
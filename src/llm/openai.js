@@ -0,0 +1,35 @@
+// Any server that speaks the OpenAI chat completions API (vLLM, Ollama,
+// LM Studio, llama.cpp server, ...). baseUrl is the part before
+// /chat/completions, e.g. http://localhost:11434/v1.
+export const createOpenAiProvider = ({ baseUrl, apiKey, model }) => {
+  const url = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+
+  return {
+    name: 'openai',
+    model,
+    generateText: async (prompt, { signal } = {}) => {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(apiKey && { Authorization: `Bearer ${apiKey}` })
+        },
+        body: JSON.stringify({
+          model,
+          messages: [{ role: 'user', content: prompt }],
+          response_format: { type: 'json_object' }
+        }),
+        signal
+      });
+
+      if (!response.ok) {
+        const error = new Error(`LLM server responded with ${response.status}`);
+        error.status = response.status;
+        throw error;
+      }
+
+      const data = await response.json();
+      return data.choices?.[0]?.message?.content ?? '';
+    }
+  };
+};
@@ -0,0 +1,62 @@
+import { getTaxonomy, termsMatch } from './taxonomy.js';
+
+// Keyword overlap between a user profile and a career path document.
+// Shared by the pre-filter (to score candidates) and the offline fallback
+// (to explain why a candidate was picked). Both sides are canonicalized
+// against the taxonomy and compared word by word.
+export const matchPathToProfile = (path, userProfile) => {
+  const taxonomy = getTaxonomy();
+  const userInterests = taxonomy.canonicalizeList('interests', userProfile.interests);
+  const userFields = taxonomy.canonicalizeList('fields', userProfile.interestedFields);
+  const userSkills = taxonomy.canonicalizeList('skills', (userProfile.currentSkills || []).concat(userProfile.interestedSkills || []));
+
+  const requiredInterests = taxonomy.canonicalizeList('interests', Array.isArray(path.requiredInterests) ? path.requiredInterests : []);
+  const requiredSkills = taxonomy.canonicalizeList('skills', Array.isArray(path.requiredSkills) ? path.requiredSkills : []);
+
+  const matchedInterests = requiredInterests.filter(pi => userInterests.some(ui => termsMatch(ui, pi)));
+  const matchedSkills = requiredSkills.filter(ps => userSkills.some(us => termsMatch(us, ps)));
+  const missingSkills = requiredSkills.filter(ps => !matchedSkills.includes(ps));
+
+  let industryMatch = false;
+  if (path.industry) {
+    const pathIndustry = taxonomy.canonicalize('fields', path.industry);
+    industryMatch = userFields.some(uf => termsMatch(uf, pathIndustry));
+  }
+
+  let degreeMatch = false;
+  if (Array.isArray(path.suggestedDegrees) && userProfile.program) {
+    degreeMatch = path.suggestedDegrees.some(deg => termsMatch(deg, userProfile.program));
+  }
+
+  return {
+    requiredInterests,
+    requiredSkills,
+    matchedInterests,
+    matchedSkills,
+    missingSkills,
+    industryMatch,
+    degreeMatch
+  };
+};
+
+// Loose title comparison used to find a user's current path in the catalog
+export const isSamePath = (path, currentPath) => {
+  if (!currentPath || currentPath === 'Not specified') return false;
+  const title = path.title.toLowerCase();
+  const current = currentPath.toLowerCase();
+  return title.includes(current) || current.includes(title);
+};
+
+// The catalog path the user works in now: an exact title match, else the
+// closest loose match (see isSamePath). Everything that treats the current
+// path specially compares against this one path by $id, so "Senior Software
+// Engineer" is not mistaken for a "Software Engineer"'s current path.
+export const resolveCurrentPath = (careerPaths, currentPath) => {
+  if (!currentPath || currentPath === 'Not specified') return null;
+  const wanted = currentPath.trim().toLowerCase();
+  const exact = careerPaths.find(path => path.title?.toLowerCase() === wanted);
+  if (exact) return exact;
+  return careerPaths
+    .filter(path => path.title && isSamePath(path, currentPath))
+    .sort((a, b) => Math.abs(a.title.length - wanted.length) - Math.abs(b.title.length - wanted.length))[0] || null;
+};
@@ -0,0 +1,22 @@
+import { Query } from 'node-appwrite';
+
+// Appwrite returns at most 100 documents per query
+const PAGE_SIZE = 100;
+
+// Every document of a collection that matches queries, fetched page by page
+export const listAllDocuments = async (databases, databaseId, collectionId, queries = []) => {
+  let documents = [];
+  let offset = 0;
+  do {
+    const batch = await databases.listDocuments(
+      databaseId,
+      collectionId,
+      [...queries, Query.limit(PAGE_SIZE), Query.offset(offset)]
+    );
+    documents = documents.concat(batch.documents);
+    offset += PAGE_SIZE;
+    // Fewer documents than asked for means this was the last page
+    if (batch.documents.length < PAGE_SIZE) break;
+  } while (true);
+  return documents;
+};
@@ -0,0 +1,173 @@
+import { assertSupportedCareerStage, validateSurveyAnswers } from './survey.js';
+import { getTaxonomy } from './taxonomy.js';
+
+// Survey answers can be a single value or a list; the matcher always works on lists
+const toArray = (value) => (Array.isArray(value) ? value : [value]);
+
+// Function to map survey answers to user profile data
+export const mapSurveyAnswersToProfile = (answers, careerStage, storedCurrentPath = null) => {
+  const profile = {
+    careerStage,
+    education: '',
+    program: '',
+    currentSkills: [],
+    interestedSkills: [],
+    interests: [],
+    interestedFields: [],
+    workEnvironment: '',
+    currentPath: storedCurrentPath || '', // Use stored path as fallback
+    yearsExperience: '',
+    seniorityLevel: '',
+    careerGoals: '',
+    reasonForChange: '',
+    changeUrgency: '',
+    currentWorkEnvironment: '',
+    preferredWorkEnvironment: '',
+    salaryExpectation: null,
+    currency: ''
+  };
+
+  // Map common fields across all career stages
+  if (answers.educationLevel) profile.education = answers.educationLevel;
+  if (answers.program) profile.program = answers.program;
+  if (answers.salaryExpectation) profile.salaryExpectation = answers.salaryExpectation;
+  if (answers.currency) profile.currency = answers.currency;
+
+  // Handle skills - convert single answers to arrays and map them to canonical terms
+  const taxonomy = getTaxonomy();
+  if (answers.currentSkills) profile.currentSkills = taxonomy.canonicalizeList('skills', toArray(answers.currentSkills));
+  if (answers.interestedSkills) profile.interestedSkills = taxonomy.canonicalizeList('skills', toArray(answers.interestedSkills));
+  if (answers.mainInterests) profile.interests = taxonomy.canonicalizeList('interests', toArray(answers.mainInterests));
+  if (answers.interestedFields) profile.interestedFields = taxonomy.canonicalizeList('fields', toArray(answers.interestedFields));
+
+  // Stage-specific mappings
+  if (careerStage === 'Pathfinder') {
+    if (answers.workEnvironment) profile.workEnvironment = answers.workEnvironment;
+  } else if (careerStage === 'Trailblazer') {
+    if (answers.currentPath) profile.currentPath = answers.currentPath;
+    if (answers.yearsExperience) profile.yearsExperience = answers.yearsExperience;
+    if (answers.seniorityLevel) profile.seniorityLevel = answers.seniorityLevel;
+    if (answers.careerGoals) profile.careerGoals = answers.careerGoals;
+  } else if (careerStage === 'Horizon Changer') {
+    if (answers.currentPath) profile.currentPath = answers.currentPath;
+    if (answers.yearsExperience) profile.yearsExperience = answers.yearsExperience;
+    if (answers.seniorityLevel) profile.seniorityLevel = answers.seniorityLevel;
+    if (answers.currentWorkEnvironment) profile.currentWorkEnvironment = answers.currentWorkEnvironment;
+    if (answers.preferredWorkEnvironment) profile.preferredWorkEnvironment = answers.preferredWorkEnvironment;
+    if (answers.reasonForChange) profile.reasonForChange = answers.reasonForChange;
+    if (answers.changeUrgency) profile.changeUrgency = answers.changeUrgency;
+  }
+
+  return profile;
+};
+
+// Profile built from what is already stored on the talent document
+export const mapStoredDataToProfile = (userData, careerStage) => {
+  const taxonomy = getTaxonomy();
+  return {
+    careerStage,
+    education: userData.degrees?.join(', ') || 'Not specified',
+    program: '',
+    degrees: Array.isArray(userData.degrees) ? userData.degrees : [],
+    currentSkills: taxonomy.canonicalizeList('skills', userData.skills),
+    interestedSkills: [],
+    interests: taxonomy.canonicalizeList('interests', userData.interests),
+    interestedFields: taxonomy.canonicalizeList('fields', userData.interestedFields),
+    currentPath: userData.currentPath || 'Not specified',
+    seniorityLevel: userData.currentSeniorityLevel || 'Not specified',
+    salaryExpectation: typeof userData.salaryExpectation === 'number' ? userData.salaryExpectation : null,
+    currency: userData.salaryCurrency || ''
+  };
+};
+
+export const hasSurveyAnswers = (surveyAnswers) =>
+  !!surveyAnswers && Object.keys(surveyAnswers).length > 0;
+
+// Use survey answers if provided, otherwise fall back to stored user data.
+// Survey answers are validated for the talent's career stage first; the
+// cleaned answers are returned for anything that writes them back.
+export const resolveUserProfile = (userData, surveyAnswers) => {
+  const careerStage = userData.careerStage;
+  assertSupportedCareerStage(careerStage);
+
+  if (!hasSurveyAnswers(surveyAnswers)) {
+    return { careerStage, userProfile: mapStoredDataToProfile(userData, careerStage), answers: null };
+  }
+
+  const answers = validateSurveyAnswers(surveyAnswers, careerStage);
+  return {
+    careerStage,
+    userProfile: mapSurveyAnswersToProfile(answers, careerStage, userData.currentPath),
+    answers
+  };
+};
+
+// Education levels that don't come with a degree to record
+const NON_DEGREE_LEVELS = ['High School', 'Some College'];
+
+// Existing entries first, then the new ones that aren't already there
+const mergeTerms = (existing, added) => {
+  const merged = [...(existing || [])];
+  for (const term of added) {
+    if (!merged.some(entry => entry.toLowerCase() === term.toLowerCase())) merged.push(term);
+  }
+  return merged;
+};
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// Map survey answers to talent document fields where appropriate, storing
+// canonical terms so later matches see the same vocabulary. Lists are merged
+// into what the talent already has rather than replaced, and only fields that
+// actually change are returned.
+export const buildTalentUpdate = (surveyAnswers, userData = {}) => {
+  const taxonomy = getTaxonomy();
+  const mergeList = (category, existing, answer) =>
+    mergeTerms(taxonomy.canonicalizeList(category, existing || []), taxonomy.canonicalizeList(category, toArray(answer)));
+  const updateData = {};
+
+  if (surveyAnswers.program && surveyAnswers.educationLevel && !NON_DEGREE_LEVELS.includes(surveyAnswers.educationLevel)) {
+    updateData.degrees = mergeTerms(userData.degrees, [surveyAnswers.program]);
+  }
+  if (surveyAnswers.currentSkills) updateData.skills = mergeList('skills', userData.skills, surveyAnswers.currentSkills);
+  if (surveyAnswers.mainInterests) updateData.interests = mergeList('interests', userData.interests, surveyAnswers.mainInterests);
+  if (surveyAnswers.interestedFields) updateData.interestedFields = mergeList('fields', userData.interestedFields, surveyAnswers.interestedFields);
+  if (surveyAnswers.currentPath) updateData.currentPath = surveyAnswers.currentPath;
+  if (surveyAnswers.seniorityLevel) updateData.currentSeniorityLevel = surveyAnswers.seniorityLevel;
+  // The currency goes with the expectation; without one it is CATALOG_CURRENCY
+  if (typeof surveyAnswers.salaryExpectation === 'number') {
+    updateData.salaryExpectation = surveyAnswers.salaryExpectation;
+    updateData.salaryCurrency = surveyAnswers.currency || null;
+  }
+
+  for (const key of Object.keys(updateData)) {
+    if (sameValue(updateData[key], userData[key])) delete updateData[key];
+  }
+  return updateData;
+};
+
+// The single write made after a successful match: the survey fields that
+// change, testTaken, and a snapshot of the values they replace (as JSON in
+// profileSnapshot) so the change can be undone with restoreProfile.
+export const buildProfileWriteBack = (surveyAnswers, userData) => {
+  const changes = surveyAnswers ? buildTalentUpdate(surveyAnswers, userData) : {};
+  const writeBack = { ...changes, testTaken: true };
+  if (Object.keys(changes).length > 0) {
+    writeBack.profileSnapshot = JSON.stringify({
+      takenAt: new Date().toISOString(),
+      values: Object.fromEntries(Object.keys(changes).map(key => [key, userData[key] ?? null]))
+    });
+  }
+  return writeBack;
+};
+
+// The update that puts a snapshot's values back, or null when there is none
+export const buildProfileRestore = (userData) => {
+  if (!userData.profileSnapshot) return null;
+  try {
+    const { values } = JSON.parse(userData.profileSnapshot);
+    return values && typeof values === 'object' ? { ...values, profileSnapshot: null } : null;
+  } catch (e) {
+    return null;
+  }
+};
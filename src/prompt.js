@@ -0,0 +1,189 @@
+import { readdirSync, readFileSync } from 'node:fs';
+import { createSeededRandom } from './diversity.js';
+import { AppError } from './errors.js';
+import { languageName } from './i18n.js';
+import { listAllDocuments } from './paging.js';
+
+// Prompts are built from template sets, one per version and locale, so the
+// wording can change without a code deploy. Bundled sets live in
+// src/data/prompts/<version>/<locale>.json; sets stored in Appwrite override
+// them. Templates are strings (or arrays of lines) with {{placeholders}}.
+
+export const DEFAULT_PROMPT_VERSION = 'v1';
+const PROMPTS_TTL_MS = 10 * 60 * 1000;
+
+const PROMPTS_DIR = new URL('./data/prompts/', import.meta.url);
+
+const readBundledTemplates = () => {
+  const sets = {};
+  for (const version of readdirSync(PROMPTS_DIR)) {
+    sets[version] = {};
+    for (const file of readdirSync(new URL(`${version}/`, PROMPTS_DIR))) {
+      if (!file.endsWith('.json')) continue;
+      sets[version][file.slice(0, -'.json'.length)] = JSON.parse(readFileSync(new URL(`${version}/${file}`, PROMPTS_DIR), 'utf8'));
+    }
+  }
+  return sets;
+};
+
+const bundledTemplates = readBundledTemplates();
+
+// Template sets stored in Appwrite, kept in module scope like the taxonomy
+let storedTemplates = {};
+let loadedAt = 0;
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Overlay one template set on another; nested objects (stages, labels, text)
+// are merged key by key, everything else is replaced
+const mergeTemplates = (base, override) => {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(override || {})) {
+    merged[key] = isPlainObject(value) && isPlainObject(base[key]) ? mergeTemplates(base[key], value) : value;
+  }
+  return merged;
+};
+
+const hasVersion = (version) => !!(bundledTemplates[version] || storedTemplates[version]);
+
+// A version only has to define what differs from the default version
+const templateSet = (version, locale) => [
+  bundledTemplates[DEFAULT_PROMPT_VERSION]?.[locale],
+  bundledTemplates[version]?.[locale],
+  storedTemplates[version]?.[locale]
+].reduce(mergeTemplates, {});
+
+const hasLocale = (version, locale) =>
+  !!(bundledTemplates[version]?.[locale] || storedTemplates[version]?.[locale]);
+
+// PROMPT_VERSION may list several versions; each user is assigned one of them
+// by their seed, so the same user keeps seeing the same wording
+export const choosePromptVersion = (versions, seed = '') => {
+  const available = (versions || []).filter(hasVersion);
+  if (available.length === 0) return DEFAULT_PROMPT_VERSION;
+  if (available.length === 1) return available[0];
+  return available[Math.floor(createSeededRandom(seed)() * available.length)];
+};
+
+// Read template sets from PROMPT_TEMPLATES_COLLECTION_ID, documents of the
+// form { version, locale, value } where value is the template set as JSON.
+// A stored set only needs the keys it changes.
+const loadStoredTemplates = async (databases, config, log) => {
+  if (!config.promptTemplatesCollectionId) return;
+  if (loadedAt && Date.now() - loadedAt < PROMPTS_TTL_MS) return;
+
+  const sets = {};
+  try {
+    for (const doc of await listAllDocuments(databases, config.databaseId, config.promptTemplatesCollectionId)) {
+      if (!doc.version || !doc.locale) continue;
+      try {
+        const templates = JSON.parse(doc.value);
+        sets[doc.version] = sets[doc.version] || {};
+        sets[doc.version][doc.locale] = templates;
+      } catch (e) {
+        log(`Ignoring prompt templates ${doc.version}/${doc.locale}: invalid JSON`);
+      }
+    }
+    storedTemplates = sets;
+  } catch (error) {
+    log('Failed to load prompt templates, using the bundled ones:', error.message);
+  }
+  loadedAt = Date.now();
+};
+
+// The template set for this request: the chosen version in the requested
+// locale, with anything it does not define taken from the fallback locale.
+// The model is asked to answer in the requested locale either way. Salary
+// ranges are shown in CATALOG_CURRENCY.
+export const loadPromptTemplates = async (databases, config, { seed, locale, log = () => {} } = {}) => {
+  await loadStoredTemplates(databases, config, log);
+
+  const version = choosePromptVersion(config.promptVersions, seed);
+  const fallbackLocale = config.promptFallbackLocale;
+  const requestedLocale = locale || fallbackLocale;
+  const resolvedLocale = hasLocale(version, requestedLocale) ? requestedLocale : fallbackLocale;
+
+  let templates = templateSet(version, fallbackLocale);
+  if (!templates.match || !templates.stages) {
+    throw new AppError('CONFIG_MISSING', `Prompt templates ${version}/${fallbackLocale} not found`);
+  }
+  if (resolvedLocale !== fallbackLocale) {
+    templates = mergeTemplates(templates, templateSet(version, resolvedLocale));
+  }
+  return { ...templates, version, locale: resolvedLocale, answerLocale: requestedLocale, catalogCurrency: config.catalogCurrency };
+};
+
+export const renderTemplate = (template, values) => {
+  const text = Array.isArray(template) ? template.join('\n') : (template || '');
+  return text.replace(/\{\{\s*(\w+)\s*\}\}/g, (placeholder, key) => values[key] ?? '');
+};
+
+const formatValue = (value, fallback) => {
+  const text = Array.isArray(value) ? value.join(', ') : value;
+  return text || fallback;
+};
+
+// The "User details" block, with the fields the template lists for each career stage
+export const describeUserProfile = (templates, userProfile, careerStage) => {
+  const stage = templates.stages?.[careerStage];
+  if (!stage) return '';
+  const fields = (stage.fields || []).map(field => renderTemplate(templates.userDetailsField, {
+    label: templates.labels?.[field] || field,
+    value: formatValue(userProfile[field], templates.text.notSpecified)
+  }));
+  return renderTemplate(templates.userDetails, { fields: fields.join('\n') });
+};
+
+export const describeCareerPath = (templates, path) => {
+  const { text } = templates;
+  let description = renderTemplate(templates.careerPath, {
+    id: path.$id,
+    title: path.title,
+    industry: path.industry || text.notSpecified,
+    description: path.description || text.noDescription,
+    requiredSkills: formatValue(path.requiredSkills, text.noneSpecified),
+    requiredInterests: formatValue(path.requiredInterests, text.noneSpecified),
+    suggestedDegrees: formatValue(path.suggestedDegrees, text.noneSpecified),
+    salaryRange: path.minSalary && path.maxSalary
+      ? renderTemplate(templates.salaryRange, { minSalary: path.minSalary, maxSalary: path.maxSalary, currency: templates.catalogCurrency })
+      : text.notSpecified
+  });
+  if (path.relevanceScore) description += `\n${renderTemplate(templates.relevanceScore, { relevanceScore: path.relevanceScore })}`;
+  return description;
+};
+
+// Placeholders every prompt can use: the stage intro, the user details block,
+// the answer language and the profile fields themselves
+const commonValues = (templates, userProfile, careerStage) => {
+  const profileValues = Object.fromEntries(
+    Object.entries(userProfile).map(([key, value]) => [key, formatValue(value, templates.text.notSpecified)])
+  );
+  return {
+    ...profileValues,
+    careerStage,
+    stageIntro: templates.stages?.[careerStage]?.intro || '',
+    languageInstruction: renderTemplate(templates.languageInstruction, { languageName: languageName(templates.answerLocale) }),
+    userDetails: describeUserProfile(templates, userProfile, careerStage)
+  };
+};
+
+export const buildMatchPrompt = (templates, userProfile, careerStage, filteredCareerPaths) => {
+  const values = commonValues(templates, userProfile, careerStage);
+  return renderTemplate(templates.match, {
+    ...values,
+    careerPaths: filteredCareerPaths.map(path => `${describeCareerPath(templates, path)}\n`).join('\n'),
+    stageInstructions: renderTemplate(templates.stages?.[careerStage]?.matchInstructions, values)
+  });
+};
+
+export const buildExplainPrompt = (templates, userProfile, careerStage, path) =>
+  renderTemplate(templates.explain, {
+    ...commonValues(templates, userProfile, careerStage),
+    careerPath: describeCareerPath(templates, path)
+  });
+
+export const buildComparePrompt = (templates, userProfile, careerStage, paths) =>
+  renderTemplate(templates.compare, {
+    ...commonValues(templates, userProfile, careerStage),
+    careerPaths: paths.map(path => `${describeCareerPath(templates, path)}\n`).join('\n')
+  });
@@ -0,0 +1,61 @@
+import { createHash } from 'node:crypto';
+import { AppError } from './errors.js';
+
+// Per-user fixed-window rate limit for calls that reach the LLM. Each user has
+// one document in the rate limit collection, { userId, windowStart, count },
+// with an ID derived from the userId so it can be read directly; windowStart
+// is in epoch milliseconds. The read-then-write is not atomic, so two
+// simultaneous requests can both get the last slot; that is fine for keeping
+// costs in check. When the collection cannot be read or written the request
+// is let through, like a failed results or feedback save.
+
+const documentId = (userId) => `rl_${createHash('sha256').update(String(userId)).digest('hex').slice(0, 32)}`;
+
+// The user's counter document, null when there is none yet. A missing
+// collection also gives a 404; the create that follows then fails and is
+// logged.
+const readCounter = async (databases, config, id) => {
+  try {
+    return await databases.getDocument(config.databaseId, config.rateLimitCollectionId, id);
+  } catch (error) {
+    if (error.code === 404) return null;
+    throw error;
+  }
+};
+
+// Count one request against the user's quota, or throw RATE_LIMITED with the
+// seconds until the window resets. A quota of 0 turns the limit off.
+export const consumeRateLimit = async (databases, config, userId, log = () => {}) => {
+  const quota = config.rateLimitMaxRequests;
+  const windowMs = config.rateLimitWindowSeconds * 1000;
+  if (!(quota > 0) || !(windowMs > 0)) return;
+
+  const id = documentId(userId);
+  const now = Date.now();
+  let doc;
+  try {
+    doc = await readCounter(databases, config, id);
+  } catch (error) {
+    log('Rate limit unavailable, allowing the request:', error.message);
+    return;
+  }
+
+  const windowStart = doc ? Number(doc.windowStart) : NaN;
+  if (doc && now - windowStart < windowMs && doc.count >= quota) {
+    const retryAfter = Math.max(1, Math.ceil((windowStart + windowMs - now) / 1000));
+    log(`Rate limit reached for ${userId}: ${doc.count}/${quota}, retry in ${retryAfter}s`);
+    throw new AppError('RATE_LIMITED', "Too many requests, please try again later", { retryAfter });
+  }
+
+  try {
+    if (!doc) {
+      await databases.createDocument(config.databaseId, config.rateLimitCollectionId, id, { userId, windowStart: now, count: 1 });
+    } else if (!(now - windowStart < windowMs)) {
+      await databases.updateDocument(config.databaseId, config.rateLimitCollectionId, id, { userId, windowStart: now, count: 1 });
+    } else {
+      await databases.updateDocument(config.databaseId, config.rateLimitCollectionId, id, { count: doc.count + 1 });
+    }
+  } catch (error) {
+    log('Failed to record request for rate limiting:', error.message);
+  }
+};
@@ -0,0 +1,63 @@
+import { Query } from 'node-appwrite';
+
+// Progress of the recompute batch, kept as JSON in the `value` attribute of
+// one settings document so a scheduled run (which has no payload) can carry
+// on where the last one stopped:
+// { catalogVersion, cursor, startedAt, completedAt, processed, changed }
+// A pass walks every talent that has taken the test, in $id order; cursor is
+// the $id of the last talent done, and completedAt is set once a pass
+// reaches the end.
+
+export const loadRecomputeState = async (databases, config, log = () => {}) => {
+  let doc;
+  try {
+    doc = await databases.getDocument(config.databaseId, config.settingsCollectionId, config.recomputeStateDocumentId);
+  } catch (error) {
+    if (error.code === 404) return null;
+    throw error;
+  }
+  try {
+    const state = JSON.parse(doc.value);
+    return state && typeof state === 'object' ? state : null;
+  } catch (e) {
+    log('Ignoring invalid recompute state:', e.message);
+    return null;
+  }
+};
+
+export const saveRecomputeState = async (databases, config, state) => {
+  const data = { value: JSON.stringify(state) };
+  try {
+    await databases.updateDocument(config.databaseId, config.settingsCollectionId, config.recomputeStateDocumentId, data);
+  } catch (error) {
+    if (error.code !== 404) throw error;
+    await databases.createDocument(config.databaseId, config.settingsCollectionId, config.recomputeStateDocumentId, data);
+  }
+};
+
+// The next talents that have taken the test, after the cursor
+export const listTestTakers = async (databases, config, cursor, limit) => {
+  const queries = [
+    Query.equal('testTaken', true),
+    Query.orderAsc('$id'),
+    Query.limit(limit)
+  ];
+  if (cursor) queries.push(Query.cursorAfter(cursor));
+  const result = await databases.listDocuments(config.databaseId, config.talentsCollectionId, queries);
+  return result.documents;
+};
+
+// Run fn over items with at most `limit` calls in flight, keeping the order.
+// A limit that is not a number runs them one at a time.
+export const mapWithConcurrency = async (items, limit, fn) => {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(limit, items.length) || 1) }, worker));
+  return results;
+};
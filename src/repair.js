@@ -0,0 +1,113 @@
+import { buildFallbackRecommendation } from './fallback.js';
+import { createTranslator } from './i18n.js';
+import { resolveCurrentPath } from './matching.js';
+
+const RECOMMENDATION_COUNT = 5;
+
+export const clampScore = (value) => {
+  const score = typeof value === 'string' ? parseFloat(value) : value;
+  if (typeof score !== 'number' || !Number.isFinite(score)) return null;
+  return Math.min(100, Math.max(0, Math.round(score)));
+};
+
+const normalizeTitle = (title) => String(title || '').trim().toLowerCase();
+
+// Validate the AI recommendations against the pre-filtered catalog and repair
+// what can be repaired:
+// - unknown pathIds are resolved by title, or dropped if that fails too
+// - titles are replaced with the canonical career path title
+// - matchScore is coerced to an integer between 0 and 100
+// - duplicates are removed
+// - missing slots are refilled from the pre-filtered ranking
+// - a Trailblazer's matched current path is forced to #1
+// Refilled entries are written with t, the translator for the response locale.
+// Returns the repaired list together with a log of what was changed.
+export const repairRecommendations = (aiRecommendations, filteredCareerPaths, userProfile, careerStage, t = createTranslator()) => {
+  const pathsById = new Map(filteredCareerPaths.map(path => [path.$id, path]));
+  const pathsByTitle = new Map(filteredCareerPaths.map(path => [normalizeTitle(path.title), path]));
+  const currentPath = careerStage === 'Trailblazer' ? resolveCurrentPath(filteredCareerPaths, userProfile.currentPath) : null;
+  const fallbackFor = (path) => buildFallbackRecommendation(path, userProfile, careerStage, t, currentPath?.$id);
+  const repairs = [];
+  const seen = new Set();
+  const recommendations = [];
+
+  for (const item of Array.isArray(aiRecommendations) ? aiRecommendations : []) {
+    if (!item || typeof item !== 'object') {
+      repairs.push('Dropped a recommendation that is not an object');
+      continue;
+    }
+
+    let path = pathsById.get(item.pathId);
+    if (!path) {
+      path = pathsByTitle.get(normalizeTitle(item.title));
+      if (!path) {
+        repairs.push(`Dropped unknown pathId "${item.pathId}"`);
+        continue;
+      }
+      repairs.push(`Resolved pathId "${item.pathId}" to "${path.$id}" by title`);
+    }
+
+    if (seen.has(path.$id)) {
+      repairs.push(`Dropped duplicate pathId "${path.$id}"`);
+      continue;
+    }
+    seen.add(path.$id);
+
+    if (item.title !== path.title) {
+      repairs.push(`Replaced title "${item.title}" with "${path.title}"`);
+    }
+
+    let matchScore = clampScore(item.matchScore);
+    if (matchScore === null) {
+      matchScore = fallbackFor(path).matchScore;
+      repairs.push(`Replaced invalid matchScore for "${path.$id}"`);
+    } else if (matchScore !== item.matchScore) {
+      repairs.push(`Clamped matchScore for "${path.$id}" to ${matchScore}`);
+    }
+
+    recommendations.push({
+      pathId: path.$id,
+      title: path.title,
+      matchScore,
+      reason: typeof item.reason === 'string' && item.reason.trim()
+        ? item.reason.trim()
+        : fallbackFor(path).reason,
+      improvementAreas: Array.isArray(item.improvementAreas)
+        ? item.improvementAreas.filter(area => typeof area === 'string' && area.trim())
+        : []
+    });
+  }
+
+  const aiCount = recommendations.length;
+
+  // Stage rule: a Trailblazer's current path is always the top recommendation
+  if (currentPath) {
+    const index = recommendations.findIndex(rec => rec.pathId === currentPath.$id);
+    let top;
+    if (index === -1) {
+      top = fallbackFor(currentPath);
+      seen.add(currentPath.$id);
+      repairs.push(`Inserted current path "${currentPath.$id}" as #1`);
+    } else {
+      [top] = recommendations.splice(index, 1);
+      if (index > 0) repairs.push(`Moved current path "${currentPath.$id}" to #1`);
+    }
+    top.matchScore = Math.max(top.matchScore, 95);
+    recommendations.unshift(top);
+  }
+
+  // Refill missing slots from the pre-filtered ranking
+  for (const path of filteredCareerPaths) {
+    if (recommendations.length >= RECOMMENDATION_COUNT) break;
+    if (seen.has(path.$id)) continue;
+    seen.add(path.$id);
+    recommendations.push(fallbackFor(path));
+    repairs.push(`Refilled slot with "${path.$id}" from the pre-filtered ranking`);
+  }
+
+  return {
+    recommendations: recommendations.slice(0, RECOMMENDATION_COUNT),
+    aiCount,
+    repairs
+  };
+};
@@ -0,0 +1,46 @@
+import { AppError } from './errors.js';
+import { match, rerank } from './actions/match.js';
+import { explain } from './actions/explain.js';
+import { compare } from './actions/compare.js';
+import { latest, history } from './actions/results.js';
+import { feedback, feedbackStats } from './actions/feedback.js';
+import { restoreProfile } from './actions/profile.js';
+import { recompute } from './actions/recompute.js';
+import { transitions } from './actions/transitions.js';
+
+// Every action the function serves. needsModel marks the ones that call the
+// LLM, so the others can run without LLM configuration. adminOnly actions are
+// refused to anyone but admins (see auth.js).
+export const ROUTES = {
+  match: { handler: match, needsModel: true },
+  rerank: { handler: rerank, needsModel: true },
+  explain: { handler: explain, needsModel: true },
+  compare: { handler: compare, needsModel: true },
+  latest: { handler: latest, needsModel: false },
+  history: { handler: history, needsModel: false },
+  feedback: { handler: feedback, needsModel: false },
+  feedbackStats: { handler: feedbackStats, needsModel: false, adminOnly: true },
+  restoreProfile: { handler: restoreProfile, needsModel: false },
+  transitions: { handler: transitions, needsModel: false },
+  recompute: { handler: recompute, needsModel: true, adminOnly: true }
+};
+
+// The action comes from the request path (e.g. POST /explain) or, for calls
+// on the root path, from the payload's "action" field. "mode" is still
+// accepted for the latest/history reads. Defaults to defaultAction, a full
+// match unless main.js says otherwise.
+export const resolveRoute = (path, payload, defaultAction = 'match') => {
+  const pathAction = String(path || '').replace(/^\/+|\/+$/g, '');
+  if (pathAction) {
+    if (!Object.hasOwn(ROUTES, pathAction)) {
+      throw new AppError('ROUTE_NOT_FOUND', `Unknown route: /${pathAction}`);
+    }
+    return { name: pathAction, ...ROUTES[pathAction] };
+  }
+
+  const action = payload.action || payload.mode || defaultAction;
+  if (typeof action !== 'string' || !Object.hasOwn(ROUTES, action)) {
+    throw new AppError('INVALID_REQUEST', `Unknown action: ${action}`);
+  }
+  return { name: action, ...ROUTES[action] };
+};
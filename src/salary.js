@@ -0,0 +1,75 @@
+// Salary fit between a user's expectation and a career path's
+// minSalary/maxSalary. Catalog salaries are yearly amounts in
+// CATALOG_CURRENCY; expectations in another currency are converted with
+// CURRENCY_RATES, JSON of currency -> units per one catalog unit, e.g.
+// { "EUR": 0.92, "GBP": 0.79 }.
+
+// Where in a path's salary range the user is likely to land, by seniority
+const SENIORITY_POSITION = {
+  'Entry Level': 0,
+  Junior: 0.25,
+  'Mid-Level': 0.5,
+  Senior: 0.75,
+  Lead: 1,
+  Executive: 1,
+  default: 0.5
+};
+
+const parseRates = (text, log) => {
+  if (!text) return {};
+  try {
+    const parsed = JSON.parse(text);
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch (e) {
+    log('Ignoring invalid CURRENCY_RATES:', e.message);
+    return {};
+  }
+};
+
+// The user's expectation converted to the catalog currency, or null when
+// there is none or it cannot be converted
+export const resolveSalaryTarget = (userProfile, config, log = () => {}) => {
+  const expectation = userProfile.salaryExpectation;
+  if (typeof expectation !== 'number' || !(expectation > 0)) return null;
+
+  const catalogCurrency = config.catalogCurrency;
+  const currency = userProfile.currency || catalogCurrency;
+  const rate = currency === catalogCurrency ? 1 : parseRates(config.currencyRates, log)[currency];
+  if (typeof rate !== 'number' || !(rate > 0)) {
+    log(`No exchange rate for ${currency}, ignoring the salary expectation`);
+    return null;
+  }
+  return { amount: expectation / rate, expectation, currency, rate, seniorityLevel: userProfile.seniorityLevel };
+};
+
+const hasSalaryRange = (path) =>
+  typeof path.minSalary === 'number' && typeof path.maxSalary === 'number' && path.maxSalary > 0;
+
+// A path is under the floor when even its top salary is below the expectation
+export const isBelowSalaryFloor = (path, target) =>
+  !!target && hasSalaryRange(path) && path.maxSalary < target.amount;
+
+// How well a path's pay meets the expectation:
+// - meets: the salary the user can expect at their seniority reaches it
+// - close: it reaches at least closeRatio of it
+// - below: it falls further short
+// - unknown: no usable expectation or no salary range on the path
+// Amounts are reported in the user's currency.
+export const assessSalaryFit = (path, target, closeRatio = 0.8) => {
+  if (!target || !hasSalaryRange(path)) return { status: 'unknown' };
+
+  const position = SENIORITY_POSITION[target.seniorityLevel] ?? SENIORITY_POSITION.default;
+  const estimated = path.minSalary + position * (path.maxSalary - path.minSalary);
+  const ratio = estimated / target.amount;
+  const toUserCurrency = (amount) => Math.round(amount * target.rate);
+
+  return {
+    status: ratio >= 1 ? 'meets' : ratio >= closeRatio ? 'close' : 'below',
+    ratio: Math.round(ratio * 100) / 100,
+    estimatedSalary: toUserCurrency(estimated),
+    minSalary: toUserCurrency(path.minSalary),
+    maxSalary: toUserCurrency(path.maxSalary),
+    expectation: target.expectation,
+    currency: target.currency
+  };
+};
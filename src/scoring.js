@@ -0,0 +1,212 @@
+import { diversifyShortlist, industryKey } from './diversity.js';
+import { matchPathToProfile, resolveCurrentPath } from './matching.js';
+import { assessSalaryFit, isBelowSalaryFloor } from './salary.js';
+
+// Pre-filter weights and shortlist sizes. Stage-specific boosts only apply to
+// their own stage: currentPath to Trailblazers, differentPath to Horizon Changers.
+export const DEFAULT_SCORING = {
+  weights: {
+    interest: 3,       // per matched required interest
+    skill: 2,          // per matched required skill
+    industry: 4,       // path industry is one of the user's fields
+    degree: 3,         // user's program is a suggested degree
+    currentPath: 50,   // Trailblazer's current path, to keep it at the top
+    differentPath: 2,  // Horizon Changer, path other than the current one
+    semantic: 10,      // times the profile/path cosine similarity (0-1)
+    salary: 5,         // pay meets the expectation; half when close, subtracted when below
+    likedIndustry: 3   // path is in an industry the user rated up
+  },
+  minSimilarity: 0.1,  // similarities below this add nothing
+  salaryCloseRatio: 0.8, // expected pay at this share of the expectation counts as close
+  salaryFilter: false, // drop paths whose top salary is under the expectation
+  minCandidates: 15,
+  maxCandidates: 25,
+  maxPerIndustry: 8   // so one industry can't crowd out the rest of the shortlist
+};
+
+const SETTINGS_TTL_MS = 10 * 60 * 1000;
+
+let cachedOverrides = null;
+let loadedAt = 0;
+
+const parseJson = (text, label, log) => {
+  if (!text) return {};
+  try {
+    const parsed = JSON.parse(text);
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch (e) {
+    log(`Ignoring invalid ${label}:`, e.message);
+    return {};
+  }
+};
+
+// Merge only the known, non-negative numeric settings from an override
+const mergeSettings = (base, override = {}) => {
+  const weights = { ...base.weights };
+  for (const key of Object.keys(weights)) {
+    const value = override.weights?.[key];
+    if (typeof value === 'number' && Number.isFinite(value) && value >= 0) weights[key] = value;
+  }
+  const settings = {
+    weights,
+    minCandidates: base.minCandidates,
+    maxCandidates: base.maxCandidates,
+    maxPerIndustry: base.maxPerIndustry,
+    minSimilarity: base.minSimilarity,
+    salaryCloseRatio: base.salaryCloseRatio,
+    salaryFilter: base.salaryFilter
+  };
+  for (const key of ['minSimilarity', 'salaryCloseRatio']) {
+    const value = override[key];
+    if (typeof value === 'number' && value >= 0 && value <= 1) settings[key] = value;
+  }
+  if (typeof override.salaryFilter === 'boolean') settings.salaryFilter = override.salaryFilter;
+  for (const key of ['minCandidates', 'maxCandidates', 'maxPerIndustry']) {
+    const value = override[key];
+    if (Number.isInteger(value) && value > 0) settings[key] = value;
+  }
+  settings.minCandidates = Math.min(settings.minCandidates, settings.maxCandidates);
+  return settings;
+};
+
+// Scoring overrides come from the SCORING_CONFIG environment variable and,
+// optionally, a settings document (SCORING_CONFIG_DOCUMENT_ID) whose `value`
+// attribute holds the same JSON. The document wins over the environment. Both
+// have the shape { "default": {...}, "Trailblazer": {...}, ... } where each
+// entry may set weights, minCandidates, maxCandidates, maxPerIndustry,
+// minSimilarity, salaryCloseRatio and salaryFilter.
+export const loadScoringOverrides = async (databases, config, log = () => {}) => {
+  if (cachedOverrides && Date.now() - loadedAt < SETTINGS_TTL_MS) return cachedOverrides;
+
+  const fromEnv = parseJson(config.scoringConfig, 'SCORING_CONFIG', log);
+  let fromDocument = {};
+  if (config.scoringConfigDocumentId) {
+    try {
+      const doc = await databases.getDocument(config.databaseId, config.settingsCollectionId, config.scoringConfigDocumentId);
+      fromDocument = parseJson(doc.value, 'scoring config document', log);
+    } catch (error) {
+      log('Failed to load scoring config document:', error.message);
+    }
+  }
+
+  cachedOverrides = [fromEnv, fromDocument];
+  loadedAt = Date.now();
+  return cachedOverrides;
+};
+
+// Effective settings for one career stage: defaults, then each source's
+// "default" entry, then its entry for the stage
+export const getStageScoring = (overrides, careerStage) =>
+  (overrides || []).reduce(
+    (settings, source) => mergeSettings(mergeSettings(settings, source.default), source[careerStage]),
+    DEFAULT_SCORING
+  );
+
+const feedbackFactor = (path, feedback, weights) => {
+  const dismissed = !!feedback?.dismissedPathIds.has(path.$id);
+  const likedIndustry = !!path.industry && !!feedback?.likedIndustries.has(industryKey(path));
+  return { dismissed, likedIndustry, points: likedIndustry ? weights.likedIndustry : 0 };
+};
+
+// Score one career path and record which factors contributed. The optional
+// signals are the user's current path (see resolveCurrentPath), the semantic similarity
+// between the profile and the path, the user's salary expectation (see
+// salary.js) and a summary of their feedback (see feedback.js).
+export const scoreCareerPath = (path, userProfile, careerStage, settings, { currentPathMatch = null, similarity = null, salaryTarget = null, feedback = null } = {}) => {
+  const { weights } = settings;
+  const match = matchPathToProfile(path, userProfile);
+  const salaryFit = assessSalaryFit(path, salaryTarget, settings.salaryCloseRatio);
+  const salaryPoints = { meets: weights.salary, close: weights.salary / 2, below: -weights.salary }[salaryFit.status] || 0;
+
+  const breakdown = {
+    interests: { matched: match.matchedInterests, points: match.matchedInterests.length * weights.interest },
+    skills: { matched: match.matchedSkills, points: match.matchedSkills.length * weights.skill },
+    industry: { matched: match.industryMatch, value: path.industry || null, points: match.industryMatch ? weights.industry : 0 },
+    degree: { matched: match.degreeMatch, points: match.degreeMatch ? weights.degree : 0 },
+    semantic: {
+      similarity: similarity === null ? null : Math.round(similarity * 1000) / 1000,
+      points: similarity !== null && similarity >= settings.minSimilarity
+        ? Math.round(similarity * weights.semantic * 100) / 100
+        : 0
+    },
+    salary: { status: salaryFit.status, points: salaryPoints },
+    feedback: feedbackFactor(path, feedback, weights),
+    currentPath: { points: 0 },
+    differentPath: { points: 0 }
+  };
+
+  // Special boost for Trailblazer's current path
+  if (careerStage === 'Trailblazer' && currentPathMatch && path.$id === currentPathMatch.$id) {
+    breakdown.currentPath.points = weights.currentPath;
+  }
+
+  let relevanceScore = Object.values(breakdown).reduce((sum, factor) => sum + factor.points, 0);
+
+  // For Horizon Changer, slightly boost relevant paths that are different from the current path
+  if (careerStage === 'Horizon Changer' && relevanceScore > 0 &&
+      userProfile.currentPath && userProfile.currentPath !== 'Not specified' &&
+      path.$id !== currentPathMatch?.$id) {
+    breakdown.differentPath.points = weights.differentPath;
+    relevanceScore += weights.differentPath;
+  }
+
+  return { relevanceScore, breakdown };
+};
+
+// Score every career path in the catalog. similarities is an optional Map of
+// path ID -> semantic similarity (see embeddings.js). currentPath is the
+// user's resolved current path; it is resolved from careerPaths when not given.
+export const scoreCareerPaths = (careerPaths, userProfile, careerStage, settings, { log = () => {}, similarities = null, salaryTarget = null, feedback = null, currentPath } = {}) => {
+  // Trailblazers get their current path boosted, Horizon Changers every other path
+  const currentPathMatch = currentPath === undefined ? resolveCurrentPath(careerPaths, userProfile.currentPath) : currentPath;
+  if (currentPathMatch) {
+    log('Found current path match:', currentPathMatch.title);
+  }
+
+  return careerPaths.map(path => {
+    const similarity = similarities?.has(path.$id) ? similarities.get(path.$id) : null;
+    const { relevanceScore, breakdown } = scoreCareerPath(path, userProfile, careerStage, settings, { currentPathMatch, similarity, salaryTarget, feedback });
+    return { ...path, relevanceScore, scoreBreakdown: breakdown };
+  });
+};
+
+// Enhanced filtering function for different career stages: score the catalog,
+// then shortlist the relevant paths, padded with a deterministic spread of
+// other industries (see diversifyShortlist). The seed, normally the userId,
+// varies the padding between users while keeping it stable for each user.
+// Paths the user dismissed are dropped first, and so are paths under their
+// salary floor when salaryFilter is on; a Trailblazer's current path is always
+// kept.
+export const filterRelevantCareerPaths = (careerPaths, userProfile, careerStage, { settings = DEFAULT_SCORING, seed = '', similarities = null, salaryTarget = null, feedback = null, log = () => {} } = {}) => {
+  // Only the one resolved current path is exempt, not every title containing it
+  const currentPath = resolveCurrentPath(careerPaths, userProfile.currentPath);
+  const isCurrentPath = (path) => careerStage === 'Trailblazer' && path.$id === currentPath?.$id;
+  let candidates = careerPaths;
+  if (feedback?.dismissedPathIds.size > 0) {
+    candidates = candidates.filter(path => !feedback.dismissedPathIds.has(path.$id) || isCurrentPath(path));
+    log('Dismissed paths removed:', careerPaths.length - candidates.length);
+  }
+  if (settings.salaryFilter && salaryTarget) {
+    const before = candidates.length;
+    candidates = candidates.filter(path => !isBelowSalaryFloor(path, salaryTarget) || isCurrentPath(path));
+    log('Salary filter removed paths:', before - candidates.length);
+  }
+
+  const scoredPaths = scoreCareerPaths(candidates, userProfile, careerStage, settings, { log, similarities, salaryTarget, feedback, currentPath });
+
+  // Sort by relevance score; ties are broken by ID so the order never depends on the catalog order
+  const relevantPaths = scoredPaths
+    .filter(path => path.relevanceScore > 0)
+    .sort((a, b) => b.relevanceScore - a.relevanceScore || (a.$id < b.$id ? -1 : 1));
+  const otherPaths = scoredPaths.filter(path => path.relevanceScore <= 0);
+
+  return diversifyShortlist(relevantPaths, otherPaths, settings, seed);
+};
+
+// Compact per-path summary for the debug output
+export const describeScore = (path) => ({
+  pathId: path.$id,
+  title: path.title,
+  relevanceScore: path.relevanceScore,
+  breakdown: path.scoreBreakdown
+});
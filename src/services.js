@@ -0,0 +1,54 @@
+import { Client, Databases, Query } from 'node-appwrite';
+import { AppError } from './errors.js';
+import { createTranslator } from './i18n.js';
+import { createProvider } from './llm/index.js';
+import { consumeRateLimit } from './ratelimit.js';
+
+// Everything an action needs to talk to Appwrite and the LLM, created once per
+// request. The provider and the talent document are only set up when an action
+// actually asks for them. locale is the response language resolved by main.js.
+export const createServices = (config, context, userId, locale) => {
+  // Initialize Appwrite client
+  const client = new Client()
+    .setEndpoint(config.appwriteEndpoint)
+    .setProject(config.appwriteProjectId)
+    .setKey(config.appwriteApiKey);
+
+  const databases = new Databases(client);
+  let provider = null;
+  let talent = null;
+
+  const getProvider = () => {
+    if (!provider) provider = createProvider(config);
+    return provider;
+  };
+
+  // Get user data for career stage and basic info
+  const getTalent = async () => {
+    if (talent) return talent;
+
+    context.log('Fetching user data for userId:', userId);
+    const user = await databases.listDocuments(
+      config.databaseId,
+      config.talentsCollectionId,
+      [Query.equal("talentId", userId)]
+    );
+
+    if (user.documents.length === 0) {
+      context.error("User not found for userId:", userId);
+      throw new AppError('TALENT_NOT_FOUND', "User not found");
+    }
+
+    talent = user.documents[0];
+    context.log('User data found:', {
+      careerStage: talent.careerStage,
+      currentPath: talent.currentPath
+    });
+    return talent;
+  };
+
+  // Called by actions right before they call the LLM
+  const checkRateLimit = () => consumeRateLimit(databases, config, userId, context.log);
+
+  return { config, userId, locale, t: createTranslator(locale), databases, getProvider, getTalent, checkRateLimit };
+};
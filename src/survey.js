@@ -0,0 +1,164 @@
+import { AppError } from './errors.js';
+
+export const CAREER_STAGES = ['Pathfinder', 'Trailblazer', 'Horizon Changer'];
+
+export const EDUCATION_LEVELS = [
+  'High School',
+  'Some College',
+  'Associate Degree',
+  "Bachelor's Degree",
+  "Master's Degree",
+  'Doctorate',
+  'Other'
+];
+export const SENIORITY_LEVELS = ['Entry Level', 'Junior', 'Mid-Level', 'Senior', 'Lead', 'Executive'];
+export const CHANGE_URGENCIES = ['Immediately', 'Within 6 months', 'Within a year', 'Just exploring'];
+export const WORK_ENVIRONMENTS = ['Office', 'Remote', 'Hybrid', 'Field Work', 'Flexible'];
+
+const SHORT_TEXT = 120;
+const LONG_TEXT = 500;
+const LIST_ITEM_TEXT = 60;
+const MAX_LIST_ITEMS = 20;
+const MAX_SALARY = 100000000;
+
+const text = (maxLength, required = false) => ({ type: 'text', maxLength, required });
+const choice = (values, required = false) => ({ type: 'choice', values, required });
+const list = (required = false) => ({ type: 'list', maxItems: MAX_LIST_ITEMS, maxLength: LIST_ITEM_TEXT, required });
+const number = (min, max, required = false) => ({ type: 'number', min, max, required });
+const currencyCode = (required = false) => ({ type: 'currency', required });
+
+// Fields every career stage answers
+const COMMON_FIELDS = {
+  educationLevel: choice(EDUCATION_LEVELS, true),
+  program: text(SHORT_TEXT),
+  currentSkills: list(),
+  interestedSkills: list(),
+  mainInterests: list(true),
+  interestedFields: list(),
+  salaryExpectation: number(1, MAX_SALARY),  // yearly, in `currency`
+  currency: currencyCode()                   // ISO 4217 code; defaults to CATALOG_CURRENCY
+};
+
+// Survey questions per career stage. Keys not listed here are rejected.
+export const SURVEY_SCHEMAS = {
+  Pathfinder: {
+    ...COMMON_FIELDS,
+    workEnvironment: choice(WORK_ENVIRONMENTS)
+  },
+  Trailblazer: {
+    ...COMMON_FIELDS,
+    currentPath: text(SHORT_TEXT, true),
+    yearsExperience: text(20),
+    seniorityLevel: choice(SENIORITY_LEVELS, true),
+    careerGoals: text(LONG_TEXT)
+  },
+  'Horizon Changer': {
+    ...COMMON_FIELDS,
+    currentPath: text(SHORT_TEXT, true),
+    yearsExperience: text(20),
+    seniorityLevel: choice(SENIORITY_LEVELS, true),
+    currentWorkEnvironment: choice(WORK_ENVIRONMENTS),
+    preferredWorkEnvironment: choice(WORK_ENVIRONMENTS),
+    reasonForChange: text(LONG_TEXT, true),
+    changeUrgency: choice(CHANGE_URGENCIES, true)
+  }
+};
+
+const isBlank = (value) =>
+  value === undefined || value === null || (typeof value === 'string' && !value.trim()) ||
+  (Array.isArray(value) && value.length === 0);
+
+// Check one value against its rule. Returns { value } or { error }.
+const checkField = (rule, value) => {
+  if (rule.type === 'text') {
+    // Numbers are accepted for free-text answers such as years of experience
+    if (typeof value === 'number' && Number.isFinite(value)) value = String(value);
+    if (typeof value !== 'string') return { error: 'must be text' };
+    const trimmed = value.trim();
+    if (trimmed.length > rule.maxLength) return { error: `must be at most ${rule.maxLength} characters` };
+    return { value: trimmed };
+  }
+
+  if (rule.type === 'number') {
+    // Numeric strings such as "85000" are accepted too
+    const amount = typeof value === 'string' && value.trim() ? Number(value) : value;
+    if (typeof amount !== 'number' || !Number.isFinite(amount)) return { error: 'must be a number' };
+    if (amount < rule.min || amount > rule.max) return { error: `must be between ${rule.min} and ${rule.max}` };
+    return { value: amount };
+  }
+
+  if (rule.type === 'currency') {
+    if (typeof value !== 'string' || !/^[a-z]{3}$/i.test(value.trim())) return { error: 'must be a 3-letter currency code such as USD' };
+    return { value: value.trim().toUpperCase() };
+  }
+
+  if (rule.type === 'choice') {
+    if (typeof value !== 'string') return { error: 'must be text' };
+    // Match case-insensitively but always store the canonical spelling
+    const canonical = rule.values.find(option => option.toLowerCase() === value.trim().toLowerCase());
+    if (!canonical) return { error: `must be one of: ${rule.values.join(', ')}` };
+    return { value: canonical };
+  }
+
+  // Single answers are accepted for list questions and wrapped in a list
+  const items = Array.isArray(value) ? value : [value];
+  if (items.length > rule.maxItems) return { error: `must have at most ${rule.maxItems} entries` };
+  const cleaned = [];
+  for (const item of items) {
+    if (typeof item !== 'string' || !item.trim()) return { error: 'must only contain non-empty text' };
+    if (item.trim().length > rule.maxLength) return { error: `entries must be at most ${rule.maxLength} characters` };
+    if (!cleaned.some(existing => existing.toLowerCase() === item.trim().toLowerCase())) {
+      cleaned.push(item.trim());
+    }
+  }
+  return { value: cleaned };
+};
+
+export const assertSupportedCareerStage = (careerStage) => {
+  if (!CAREER_STAGES.includes(careerStage)) {
+    throw new AppError('UNSUPPORTED_CAREER_STAGE', `Unsupported career stage: ${careerStage || 'not set'}`);
+  }
+};
+
+// Validate survey answers against the schema for the user's career stage and
+// return a cleaned copy. Every problem is reported per field so the app can
+// highlight the right question. Blank optional answers are dropped.
+export const validateSurveyAnswers = (answers, careerStage) => {
+  assertSupportedCareerStage(careerStage);
+
+  if (!answers || typeof answers !== 'object' || Array.isArray(answers)) {
+    throw new AppError('INVALID_SURVEY_ANSWERS', 'Survey answers are invalid', {
+      fields: { surveyAnswers: 'must be an object' }
+    });
+  }
+
+  const schema = SURVEY_SCHEMAS[careerStage];
+  const fields = {};
+  const cleaned = {};
+
+  for (const key of Object.keys(answers)) {
+    if (!Object.hasOwn(schema, key)) {
+      fields[key] = `is not a question for the ${careerStage} survey`;
+    }
+  }
+
+  for (const [key, rule] of Object.entries(schema)) {
+    const value = answers[key];
+    if (isBlank(value)) {
+      if (rule.required) fields[key] = 'is required';
+      continue;
+    }
+    const result = checkField(rule, value);
+    if (result.error) {
+      fields[key] = result.error;
+    } else {
+      cleaned[key] = result.value;
+    }
+  }
+
+  if (Object.keys(fields).length > 0) {
+    throw new AppError('INVALID_SURVEY_ANSWERS', 'Survey answers are invalid', { fields });
+  }
+
+  return cleaned;
+};
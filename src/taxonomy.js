@@ -0,0 +1,100 @@
+import { readFileSync } from 'node:fs';
+import { listAllDocuments } from './paging.js';
+
+// Synonym/alias taxonomy for skills, interests and fields. User answers and
+// career path attributes are both mapped to canonical terms before matching,
+// so "JS" matches "JavaScript" and "ML" matches "Machine Learning".
+
+export const TAXONOMY_CATEGORIES = ['skills', 'interests', 'fields'];
+
+const TAXONOMY_TTL_MS = 10 * 60 * 1000;
+
+// Lowercase word tokens. "+" and "#" are kept so C++ and C# stay distinct from C.
+export const tokenize = (term) => String(term || '').toLowerCase().match(/[a-z0-9+#]+/g) || [];
+
+const keyOf = (term) => tokenize(term).join(' ');
+
+// Build lookup tables from { skills: { Canonical: [aliases] }, ... }
+export const createTaxonomy = (data = {}) => {
+  const lookups = {};
+  for (const category of TAXONOMY_CATEGORIES) {
+    const lookup = new Map();
+    for (const [canonical, aliases] of Object.entries(data[category] || {})) {
+      lookup.set(keyOf(canonical), canonical);
+      for (const alias of aliases || []) {
+        // The first definition wins so a later alias can't hijack a canonical term
+        if (!lookup.has(keyOf(alias))) lookup.set(keyOf(alias), canonical);
+      }
+    }
+    lookups[category] = lookup;
+  }
+
+  // Canonical form of a term, or the trimmed original if the taxonomy doesn't know it
+  const canonicalize = (category, term) => {
+    if (typeof term !== 'string') return term;
+    return lookups[category]?.get(keyOf(term)) || term.trim();
+  };
+
+  // Canonicalize a list and drop the duplicates that aliases collapse into
+  const canonicalizeList = (category, terms) => {
+    const result = [];
+    const seen = new Set();
+    for (const term of terms || []) {
+      const canonical = canonicalize(category, term);
+      const key = keyOf(canonical);
+      if (!key || seen.has(key)) continue;
+      seen.add(key);
+      result.push(canonical);
+    }
+    return result;
+  };
+
+  return { canonicalize, canonicalizeList };
+};
+
+// Two terms match when they are the same canonical term, or when every word of
+// the shorter one appears as a whole word in the longer one ("Data" matches
+// "Data Science", but "R" no longer matches "React").
+export const termsMatch = (a, b) => {
+  const tokensA = tokenize(a);
+  const tokensB = tokenize(b);
+  if (tokensA.length === 0 || tokensB.length === 0) return false;
+  const [shorter, longer] = tokensA.length <= tokensB.length ? [tokensA, tokensB] : [tokensB, tokensA];
+  return shorter.every(token => longer.includes(token));
+};
+
+const bundledData = JSON.parse(readFileSync(new URL('./data/taxonomy.json', import.meta.url), 'utf8'));
+
+// The taxonomy in use, kept in module scope so warm invocations reuse it
+let activeTaxonomy = createTaxonomy(bundledData);
+let loadedAt = 0;
+
+export const getTaxonomy = () => activeTaxonomy;
+
+// Load the taxonomy from a JSON file (TAXONOMY_FILE) or from an Appwrite
+// collection (TAXONOMY_COLLECTION_ID) with documents of the form
+// { category, term, aliases }. Falls back to the bundled file when neither is
+// set or loading fails.
+export const loadTaxonomy = async (databases, config, log = () => {}) => {
+  if (loadedAt && Date.now() - loadedAt < TAXONOMY_TTL_MS) return activeTaxonomy;
+
+  try {
+    if (config.taxonomyFile) {
+      activeTaxonomy = createTaxonomy(JSON.parse(readFileSync(config.taxonomyFile, 'utf8')));
+    } else if (config.taxonomyCollectionId) {
+      const data = {};
+      for (const doc of await listAllDocuments(databases, config.databaseId, config.taxonomyCollectionId)) {
+        if (!TAXONOMY_CATEGORIES.includes(doc.category) || !doc.term) continue;
+        data[doc.category] = data[doc.category] || {};
+        data[doc.category][doc.term] = doc.aliases || [];
+      }
+      activeTaxonomy = createTaxonomy(data);
+    }
+  } catch (error) {
+    log('Failed to load taxonomy, using the bundled one:', error.message);
+    activeTaxonomy = createTaxonomy(bundledData);
+  }
+
+  loadedAt = Date.now();
+  return activeTaxonomy;
+};
@@ -0,0 +1,183 @@
+import { getTaxonomy, termsMatch } from './taxonomy.js';
+import { resolveCurrentPath } from './matching.js';
+
+// Transition analysis for Horizon Changers: how far each target path is from
+// the user's current one, which catalog paths could serve as a step in
+// between, and how realistic each move is given why and how soon the user
+// wants to change. Computed from the catalog, like the skill gaps.
+
+// Rough effort per skill the user still has to learn
+const MONTHS_PER_SKILL = 2;
+
+// Months the user gives themselves, and how many points a transition that
+// fits in that time earns. Urgent changers need moves that are quick to make;
+// for users who are just exploring the timeline hardly matters.
+const URGENCY = {
+  Immediately: { months: 3, points: 30 },
+  'Within 6 months': { months: 6, points: 20 },
+  'Within a year': { months: 12, points: 10 },
+  'Just exploring': { months: 24, points: 0 },
+  default: { months: 12, points: 10 }
+};
+
+// Words in reasonForChange that point to what the user wants from the move,
+// in the languages the function answers in. Words match at the start of a
+// word, so "earn" finds "earning" but not "learn". A matching transition
+// earns MOTIVE_POINTS per motive.
+const CHANGE_MOTIVES = {
+  pay: ['salary', 'pay', 'money', 'income', 'earn', 'wage', 'salario', 'sueldo', 'dinero', 'salaire', 'argent', 'rémunération'],
+  interest: ['passion', 'interest', 'meaning', 'purpose', 'fulfil', 'enjoy', 'pasión', 'interés', 'propósito', 'intérêt'],
+  industry: ['industry', 'sector', 'different field', 'new field', 'industria', 'secteur', 'domaine']
+};
+const MOTIVE_POINTS = 10;
+const SKILL_OVERLAP_POINTS = 60;
+const SAME_INDUSTRY_POINTS = 10;
+const MAX_BRIDGES = 3;
+
+const listOf = (value) => (Array.isArray(value) ? value : []);
+
+const pathSkills = (path) => getTaxonomy().canonicalizeList('skills', listOf(path?.requiredSkills));
+const pathInterests = (path) => getTaxonomy().canonicalizeList('interests', listOf(path?.requiredInterests));
+
+const covers = (terms, term) => terms.some(own => termsMatch(own, term));
+
+const midpoint = (path) =>
+  typeof path?.minSalary === 'number' && typeof path?.maxSalary === 'number' && path.maxSalary > 0
+    ? (path.minSalary + path.maxSalary) / 2
+    : null;
+
+// What the user wants from the change, from the words in reasonForChange
+export const detectChangeMotives = (reasonForChange) => {
+  const text = String(reasonForChange || '').toLowerCase();
+  const startsWord = (word) => new RegExp(`(^|[^\\p{L}])${word}`, 'u').test(text);
+  return Object.keys(CHANGE_MOTIVES).filter(motive => CHANGE_MOTIVES[motive].some(startsWord));
+};
+
+// Side by side: skills, interests, industry and salary of the current path
+// against the target. Skills the user already has count as shared even when
+// their current path does not list them. Salaries are in the user's currency
+// when they have a salary target, else in the catalog currency.
+export const compareTransition = (currentPath, target, userProfile, { salaryTarget = null, catalogCurrency = null } = {}) => {
+  const taxonomy = getTaxonomy();
+  const currentSkills = pathSkills(currentPath);
+  const ownSkills = [...currentSkills, ...taxonomy.canonicalizeList('skills', userProfile.currentSkills || [])];
+  const targetSkills = pathSkills(target);
+  const currentInterests = pathInterests(currentPath);
+  const targetInterests = pathInterests(target);
+
+  const rate = salaryTarget?.rate || 1;
+  const toCurrency = (amount) => (amount === null ? null : Math.round(amount * rate));
+  const from = midpoint(currentPath);
+  const to = midpoint(target);
+
+  return {
+    skills: {
+      shared: targetSkills.filter(skill => covers(ownSkills, skill)),
+      toLearn: targetSkills.filter(skill => !covers(ownSkills, skill)),
+      leftBehind: currentSkills.filter(skill => !covers(targetSkills, skill))
+    },
+    interests: {
+      shared: targetInterests.filter(interest => covers(currentInterests, interest)),
+      new: targetInterests.filter(interest => !covers(currentInterests, interest))
+    },
+    industry: {
+      from: currentPath?.industry || null,
+      to: target.industry || null,
+      changes: !!currentPath?.industry && !!target.industry &&
+        !termsMatch(taxonomy.canonicalize('fields', currentPath.industry), taxonomy.canonicalize('fields', target.industry))
+    },
+    salary: {
+      from: toCurrency(from),
+      to: toCurrency(to),
+      delta: from !== null && to !== null ? toCurrency(to - from) : null,
+      deltaPercent: from !== null && to !== null && from > 0 ? Math.round(((to - from) / from) * 100) : null,
+      currency: salaryTarget?.currency || catalogCurrency
+    }
+  };
+};
+
+// Catalog paths that use skills the user has and teach skills the target
+// needs, most useful first
+export const findBridgePaths = (careerPaths, currentPath, target, comparison) => {
+  if (comparison.skills.toLearn.length === 0) return [];
+  const haveSkills = [...comparison.skills.shared, ...pathSkills(currentPath)];
+
+  return careerPaths
+    .filter(path => path.$id !== target.$id && path.$id !== currentPath?.$id)
+    .map(path => {
+      const skills = pathSkills(path);
+      return {
+        pathId: path.$id,
+        title: path.title,
+        industry: path.industry || null,
+        usesSkills: skills.filter(skill => covers(haveSkills, skill)),
+        teachesSkills: comparison.skills.toLearn.filter(skill => covers(skills, skill))
+      };
+    })
+    .filter(bridge => bridge.usesSkills.length > 0 && bridge.teachesSkills.length > 0)
+    .sort((a, b) => b.teachesSkills.length - a.teachesSkills.length ||
+      b.usesSkills.length - a.usesSkills.length ||
+      (a.pathId < b.pathId ? -1 : 1))
+    .slice(0, MAX_BRIDGES);
+};
+
+// How realistic the move is, 0-100: skills the user can carry over, staying
+// in the same industry, fitting the timeline of their changeUrgency, and
+// giving them what their reasonForChange asks for
+export const assessRealism = (comparison, userProfile, motives) => {
+  const { skills, interests, industry, salary } = comparison;
+  const urgency = URGENCY[userProfile.changeUrgency] || URGENCY.default;
+  const requiredCount = skills.shared.length + skills.toLearn.length;
+  const skillOverlap = requiredCount ? skills.shared.length / requiredCount : 1;
+  const estimatedMonths = skills.toLearn.length * MONTHS_PER_SKILL;
+  const timelineFit = estimatedMonths === 0 ? 1 : Math.min(1, urgency.months / estimatedMonths);
+
+  const userInterests = getTaxonomy().canonicalizeList('interests', userProfile.interests || []);
+  const targetInterests = [...interests.shared, ...interests.new];
+  const motivesMet = motives.filter(motive =>
+    (motive === 'pay' && salary.delta > 0) ||
+    (motive === 'interest' && targetInterests.some(interest => covers(userInterests, interest))) ||
+    (motive === 'industry' && industry.changes)
+  );
+
+  const score = Math.round(skillOverlap * SKILL_OVERLAP_POINTS) +
+    (industry.from && !industry.changes ? SAME_INDUSTRY_POINTS : 0) +
+    Math.round(timelineFit * urgency.points) +
+    motivesMet.length * MOTIVE_POINTS;
+
+  return {
+    score: Math.min(100, score),
+    skillOverlap: Math.round(skillOverlap * 100),
+    estimatedMonths,
+    fitsTimeline: estimatedMonths <= urgency.months,
+    motivesMet
+  };
+};
+
+// The transition from the user's current path to each target, most
+// realistic first. options are { salaryTarget, catalogCurrency }.
+export const analyzeTransitions = (careerPaths, targets, userProfile, options = {}) => {
+  const currentPath = resolveCurrentPath(careerPaths, userProfile.currentPath);
+  const motives = detectChangeMotives(userProfile.reasonForChange);
+
+  const transitions = targets
+    .filter(target => target.$id !== currentPath?.$id)
+    .map(target => {
+      const comparison = compareTransition(currentPath, target, userProfile, options);
+      return {
+        pathId: target.$id,
+        title: target.title,
+        realism: assessRealism(comparison, userProfile, motives),
+        comparison,
+        bridges: findBridgePaths(careerPaths, currentPath, target, comparison)
+      };
+    })
+    .sort((a, b) => b.realism.score - a.realism.score || b.realism.skillOverlap - a.realism.skillOverlap);
+
+  return {
+    currentPath: currentPath ? { pathId: currentPath.$id, title: currentPath.title, industry: currentPath.industry || null } : null,
+    motives,
+    changeUrgency: userProfile.changeUrgency || null,
+    transitions
+  };
+};
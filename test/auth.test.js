@@ -0,0 +1,129 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import { Account, Users } from 'node-appwrite';
+import { authenticate } from '../src/auth.js';
+import { resolveRoute } from '../src/router.js';
+
+const config = {
+  appwriteEndpoint: 'http://appwrite.test/v1',
+  appwriteProjectId: 'project',
+  appwriteApiKey: 'key',
+  adminApiKey: 'admin-secret',
+  adminLabel: 'admin'
+};
+
+// Appwrite users by ID, and the JWTs Account.get accepts
+const users = {
+  u1: { $id: 'u1', labels: [] },
+  u2: { $id: 'u2', labels: [] },
+  boss: { $id: 'boss', labels: ['admin'] }
+};
+const jwts = { 'jwt-u1': 'u1', 'jwt-boss': 'boss' };
+
+const match = resolveRoute('/match', {});
+const recompute = resolveRoute('/recompute', {});
+
+const run = (headers, payload = {}, route = match) =>
+  authenticate({ req: { headers }, log: () => {} }, config, payload, route);
+
+describe('authenticate', () => {
+  let originals;
+  let labelLookups;
+
+  beforeEach(() => {
+    originals = { accountGet: Account.prototype.get, usersGet: Users.prototype.get };
+    labelLookups = 0;
+    Account.prototype.get = async function () {
+      const userId = jwts[this.client.headers['X-Appwrite-JWT']];
+      if (!userId) throw Object.assign(new Error('Invalid token'), { code: 401 });
+      return users[userId];
+    };
+    Users.prototype.get = async function (userId) {
+      labelLookups++;
+      return users[userId];
+    };
+  });
+
+  afterEach(() => {
+    Account.prototype.get = originals.accountGet;
+    Users.prototype.get = originals.usersGet;
+  });
+
+  it('acts for the platform user', async () => {
+    const auth = await run({ 'x-appwrite-user-id': 'u1' });
+
+    assert.deepEqual(auth, { userId: 'u1', callerId: 'u1', method: 'platform', admin: false });
+    assert.equal(labelLookups, 0);
+  });
+
+  it('refuses a payload userId for another user without admin rights', async () => {
+    await assert.rejects(run({ 'x-appwrite-user-id': 'u1' }, { userId: 'u2' }), { code: 'FORBIDDEN', status: 403 });
+  });
+
+  it('accepts a payload userId equal to the caller', async () => {
+    const auth = await run({ 'x-appwrite-user-id': 'u1' }, { userId: 'u1' });
+
+    assert.equal(auth.userId, 'u1');
+    assert.equal(labelLookups, 0);
+  });
+
+  it('lets a user with the admin label act for another user', async () => {
+    const auth = await run({ 'x-appwrite-user-id': 'boss' }, { userId: 'u2' });
+
+    assert.deepEqual(auth, { userId: 'u2', callerId: 'boss', method: 'platform', admin: true });
+    assert.equal(labelLookups, 1);
+  });
+
+  it('rejects a wrong admin key', async () => {
+    await assert.rejects(run({ 'x-admin-key': 'guess' }, { userId: 'u2' }), { code: 'AUTH_INVALID', status: 401 });
+  });
+
+  it('lets the admin key act for any user', async () => {
+    const auth = await run({ 'x-admin-key': 'admin-secret' }, { userId: 'u2' });
+
+    assert.deepEqual(auth, { userId: 'u2', callerId: null, method: 'adminKey', admin: true });
+  });
+
+  it('verifies a Bearer JWT', async () => {
+    const auth = await run({ authorization: 'Bearer jwt-u1' });
+
+    assert.deepEqual(auth, { userId: 'u1', callerId: 'u1', method: 'jwt', admin: false });
+  });
+
+  it('rejects an Authorization header that is not a Bearer token', async () => {
+    await assert.rejects(run({ authorization: 'Basic dTE6cGFzcw==' }), { code: 'AUTH_INVALID', status: 401 });
+  });
+
+  it('rejects a JWT Appwrite does not accept', async () => {
+    await assert.rejects(run({ authorization: 'Bearer expired' }), { code: 'AUTH_INVALID', status: 401 });
+  });
+
+  it('takes admin rights from the labels of a JWT user', async () => {
+    const auth = await run({ authorization: 'Bearer jwt-boss' }, { userId: 'u2' });
+
+    assert.equal(auth.userId, 'u2');
+    assert.equal(auth.admin, true);
+    assert.equal(labelLookups, 0);
+  });
+
+  it('requires a user', async () => {
+    await assert.rejects(run({}), { code: 'AUTH_REQUIRED', status: 401 });
+  });
+
+  it('runs admin-only actions from a schedule', async () => {
+    const auth = await run({ 'x-appwrite-trigger': 'schedule' }, {}, recompute);
+
+    assert.deepEqual(auth, { userId: null, callerId: null, method: 'schedule', admin: true });
+  });
+
+  it('refuses admin-only actions to normal users', async () => {
+    await assert.rejects(run({ 'x-appwrite-user-id': 'u1' }, {}, recompute), { code: 'FORBIDDEN', status: 403 });
+    await assert.rejects(run({ authorization: 'Bearer jwt-u1' }, {}, recompute), { code: 'FORBIDDEN', status: 403 });
+  });
+
+  it('allows admin-only actions to users with the admin label', async () => {
+    const auth = await run({ 'x-appwrite-user-id': 'boss' }, {}, recompute);
+
+    assert.equal(auth.admin, true);
+  });
+});
@@ -0,0 +1,123 @@
+import assert from 'node:assert/strict';
+import { beforeEach, describe, it } from 'node:test';
+import { getCatalogVersion, invalidateCatalogCache, loadCareerPaths } from '../src/catalog.js';
+import { createDatabases } from './helpers/databases.js';
+
+const config = {
+  databaseId: 'db',
+  careerPathsCollectionId: 'careerPaths',
+  settingsCollectionId: 'settings',
+  catalogSnapshotDocumentId: 'catalogSnapshot',
+  catalogCacheTtlSeconds: 300
+};
+
+const makePaths = (count) => Array.from({ length: count }, (_, index) => ({
+  $id: `path${String(index).padStart(3, '0')}`,
+  $updatedAt: '2024-01-01T00:00:00.000Z',
+  title: `Path ${index}`
+}));
+
+// Page fetches have an offset; the version check is the one-document query without
+const pageFetches = (databases) =>
+  databases.calls.filter(call => call.method === 'listDocuments' && call.queries.some(query => query.includes('"offset"'))).length;
+const versionChecks = (databases) => databases.count('listDocuments') - pageFetches(databases);
+
+describe('loadCareerPaths', () => {
+  beforeEach(() => invalidateCatalogCache());
+
+  it('pages through the collection on a cold load and writes the snapshot', async () => {
+    const databases = createDatabases({ careerPaths: makePaths(150), settings: [] });
+
+    const paths = await loadCareerPaths(databases, config);
+
+    assert.equal(paths.length, 150);
+    assert.equal(pageFetches(databases), 2);
+    assert.equal(versionChecks(databases), 1);
+    const [snapshot] = databases.collections.settings;
+    assert.equal(snapshot.$id, 'catalogSnapshot');
+    assert.equal(snapshot.version, getCatalogVersion());
+    assert.equal(JSON.parse(snapshot.value).length, 150);
+  });
+
+  it('serves a warm load inside the TTL without any query', async () => {
+    const databases = createDatabases({ careerPaths: makePaths(3), settings: [] });
+    await loadCareerPaths(databases, config);
+    const callsAfterCold = databases.count('listDocuments');
+
+    const paths = await loadCareerPaths(databases, config);
+
+    assert.equal(paths.length, 3);
+    assert.equal(databases.count('listDocuments'), callsAfterCold);
+  });
+
+  it('keeps the cache after the TTL when the version is unchanged', async () => {
+    const expired = { ...config, catalogCacheTtlSeconds: 0 };
+    const databases = createDatabases({ careerPaths: makePaths(3), settings: [] });
+    const first = await loadCareerPaths(databases, expired);
+
+    const second = await loadCareerPaths(databases, expired);
+
+    assert.equal(second, first);
+    assert.equal(versionChecks(databases), 2);
+    assert.equal(pageFetches(databases), 1);
+  });
+
+  it('reloads when a path is edited', async () => {
+    const expired = { ...config, catalogCacheTtlSeconds: 0 };
+    const databases = createDatabases({ careerPaths: makePaths(3), settings: [] });
+    await loadCareerPaths(databases, expired);
+    const before = getCatalogVersion();
+
+    databases.collections.careerPaths[1] = { ...databases.collections.careerPaths[1], title: 'Edited', $updatedAt: '2024-02-01T00:00:00.000Z' };
+    const paths = await loadCareerPaths(databases, expired);
+
+    assert.equal(pageFetches(databases), 2);
+    assert.notEqual(getCatalogVersion(), before);
+    assert.equal(paths[1].title, 'Edited');
+  });
+
+  it('reloads when the number of paths changes', async () => {
+    const expired = { ...config, catalogCacheTtlSeconds: 0 };
+    const databases = createDatabases({ careerPaths: makePaths(3), settings: [] });
+    await loadCareerPaths(databases, expired);
+
+    databases.collections.careerPaths.pop();
+    const paths = await loadCareerPaths(databases, expired);
+
+    assert.equal(paths.length, 2);
+    assert.equal(pageFetches(databases), 2);
+  });
+
+  it('serves a cold start from a snapshot of the current version', async () => {
+    const warm = createDatabases({ careerPaths: makePaths(150), settings: [] });
+    await loadCareerPaths(warm, config);
+    invalidateCatalogCache();
+
+    const databases = createDatabases({ careerPaths: makePaths(150), settings: warm.collections.settings });
+    const paths = await loadCareerPaths(databases, config);
+
+    assert.equal(paths.length, 150);
+    assert.equal(pageFetches(databases), 0);
+    assert.equal(versionChecks(databases), 1);
+    assert.equal(databases.count('getDocument', 'settings'), 1);
+  });
+
+  it('ignores a snapshot taken at another version', async () => {
+    const settings = [{ $id: 'catalogSnapshot', version: 'stale', value: JSON.stringify(makePaths(1)) }];
+    const databases = createDatabases({ careerPaths: makePaths(3), settings });
+
+    const paths = await loadCareerPaths(databases, config);
+
+    assert.equal(paths.length, 3);
+    assert.equal(pageFetches(databases), 1);
+    assert.equal(settings[0].version, getCatalogVersion());
+  });
+
+  it('throws CATALOG_EMPTY when there are no career paths', async () => {
+    const databases = createDatabases({ careerPaths: [], settings: [] });
+
+    await assert.rejects(loadCareerPaths(databases, config), { code: 'CATALOG_EMPTY' });
+    assert.equal(getCatalogVersion(), null);
+    assert.equal(databases.count('createDocument', 'settings'), 0);
+  });
+});
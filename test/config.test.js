@@ -0,0 +1,48 @@
+import assert from 'node:assert/strict';
+import { afterEach, describe, it } from 'node:test';
+import { loadConfig } from '../src/config.js';
+
+describe('numeric settings', () => {
+  const savedEnv = { ...process.env };
+  afterEach(() => {
+    process.env = { ...savedEnv };
+  });
+
+  it('falls back to the defaults for values that are not whole numbers', () => {
+    Object.assign(process.env, {
+      LLM_TIMEOUT_MS: '10s',
+      LLM_MAX_RETRIES: 'two',
+      LLM_DEADLINE_MS: '-1',
+      RATE_LIMIT_WINDOW_SECONDS: '0',
+      RATE_LIMIT_MAX_REQUESTS: '30/h',
+      RESULT_REUSE_TTL_SECONDS: '',
+      CATALOG_CACHE_TTL_SECONDS: '5m'
+    });
+
+    const config = loadConfig();
+
+    assert.equal(config.llmTimeoutMs, 10000);
+    assert.equal(config.llmMaxRetries, 1);
+    assert.equal(config.llmDeadlineMs, 12000);
+    assert.equal(config.rateLimitWindowSeconds, 3600);
+    assert.equal(config.rateLimitMaxRequests, 30);
+    assert.equal(config.resultReuseTtlSeconds, 600);
+    assert.equal(config.catalogCacheTtlSeconds, 300);
+  });
+
+  it('accepts 0 where it turns something off', () => {
+    Object.assign(process.env, {
+      LLM_MAX_RETRIES: '0',
+      RATE_LIMIT_MAX_REQUESTS: '0',
+      RESULT_REUSE_TTL_SECONDS: '0',
+      CATALOG_CACHE_TTL_SECONDS: '0'
+    });
+
+    const config = loadConfig();
+
+    assert.equal(config.llmMaxRetries, 0);
+    assert.equal(config.rateLimitMaxRequests, 0);
+    assert.equal(config.resultReuseTtlSeconds, 0);
+    assert.equal(config.catalogCacheTtlSeconds, 0);
+  });
+});
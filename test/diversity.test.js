@@ -0,0 +1,59 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { diversifyShortlist } from '../src/diversity.js';
+
+const makePaths = (prefix, industry, count) => Array.from({ length: count }, (_, index) => ({
+  $id: `${prefix}${index}`,
+  title: `${industry} ${index}`,
+  industry
+}));
+
+const ids = (paths) => paths.map(path => path.$id);
+const countIndustry = (paths, industry) => paths.filter(path => path.industry === industry).length;
+
+describe('diversifyShortlist', () => {
+  it('gives the same shortlist for the same input and seed', () => {
+    const relevant = makePaths('tech', 'Technology', 4);
+    const others = [...makePaths('health', 'Healthcare', 5), ...makePaths('edu', 'Education', 5), ...makePaths('art', 'Arts', 5)];
+    const settings = { minCandidates: 10, maxCandidates: 25, maxPerIndustry: 8 };
+
+    const first = diversifyShortlist(relevant, others, settings, 'user-1');
+    const again = diversifyShortlist(relevant, others, settings, 'user-1');
+    const reordered = diversifyShortlist(relevant, [...others].reverse(), settings, 'user-1');
+
+    assert.equal(first.length, 10);
+    assert.deepEqual(ids(again), ids(first));
+    assert.deepEqual(ids(reordered), ids(first));
+  });
+
+  it('takes at most maxPerIndustry relevant paths from one industry', () => {
+    const relevant = [...makePaths('tech', 'Technology', 10), ...makePaths('health', 'Healthcare', 3)];
+    const settings = { minCandidates: 5, maxCandidates: 25, maxPerIndustry: 3 };
+
+    const shortlist = diversifyShortlist(relevant, [], settings, 'user-1');
+
+    assert.deepEqual(ids(shortlist), ['tech0', 'tech1', 'tech2', 'health0', 'health1', 'health2']);
+  });
+
+  it('pads with industries that are not represented yet first', () => {
+    const relevant = makePaths('tech', 'Technology', 3);
+    const others = [...makePaths('moretech', 'Technology', 4), ...makePaths('health', 'Healthcare', 1), ...makePaths('edu', 'Education', 1)];
+    const settings = { minCandidates: 5, maxCandidates: 25, maxPerIndustry: 8 };
+
+    const shortlist = diversifyShortlist(relevant, others, settings, 'user-1');
+
+    assert.equal(shortlist.length, 5);
+    assert.deepEqual(ids(shortlist.slice(0, 3)), ['tech0', 'tech1', 'tech2']);
+    assert.deepEqual(ids(shortlist.slice(3)).sort(), ['edu0', 'health0']);
+    assert.equal(countIndustry(shortlist, 'Technology'), 3);
+  });
+
+  it('relaxes the cap in score order when it leaves the shortlist short', () => {
+    const relevant = makePaths('tech', 'Technology', 6);
+    const settings = { minCandidates: 5, maxCandidates: 25, maxPerIndustry: 3 };
+
+    const shortlist = diversifyShortlist(relevant, [], settings, 'user-1');
+
+    assert.deepEqual(ids(shortlist), ['tech0', 'tech1', 'tech2', 'tech3', 'tech4']);
+  });
+});
@@ -0,0 +1,46 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { buildFallbackRecommendations } from '../src/fallback.js';
+import { resolveCurrentPath } from '../src/matching.js';
+import { repairRecommendations } from '../src/repair.js';
+
+const careerPaths = [
+  { $id: 'senior', title: 'Senior Software Engineer', industry: 'Technology', requiredSkills: ['Python'], requiredInterests: [] },
+  { $id: 'engineer', title: 'Software Engineer', industry: 'Technology', requiredSkills: ['Python'], requiredInterests: [] },
+  { $id: 'analyst', title: 'Data Analyst', industry: 'Technology', requiredSkills: ['SQL'], requiredInterests: [] }
+];
+
+const userProfile = { currentPath: 'Software Engineer', currentSkills: ['Python'], interests: [], interestedFields: [] };
+
+describe('resolveCurrentPath', () => {
+  it('prefers the exact title over a longer title containing it', () => {
+    assert.equal(resolveCurrentPath(careerPaths, 'software engineer').$id, 'engineer');
+  });
+
+  it('falls back to the closest loose match', () => {
+    assert.equal(resolveCurrentPath(careerPaths, 'Senior Software Engineer II').$id, 'senior');
+    assert.equal(resolveCurrentPath(careerPaths, 'Nurse'), null);
+    assert.equal(resolveCurrentPath(careerPaths, 'Not specified'), null);
+  });
+});
+
+describe('current path in the fallback and repair', () => {
+  it('pins only the resolved current path in the fallback ranking', () => {
+    const { recommendations } = buildFallbackRecommendations(careerPaths, userProfile, 'Trailblazer');
+
+    assert.equal(recommendations[0].pathId, 'engineer');
+    assert.equal(recommendations[0].matchScore, 95);
+    const senior = recommendations.find(recommendation => recommendation.pathId === 'senior');
+    assert.ok(senior.matchScore < 95);
+    assert.doesNotMatch(senior.reason, /current path/);
+  });
+
+  it('writes refilled slots without calling another path the current one', () => {
+    const { recommendations } = repairRecommendations([], careerPaths, userProfile, 'Trailblazer');
+
+    assert.equal(recommendations[0].pathId, 'engineer');
+    const senior = recommendations.find(recommendation => recommendation.pathId === 'senior');
+    assert.ok(senior.matchScore < 95);
+    assert.doesNotMatch(senior.reason, /current path/);
+  });
+});
@@ -0,0 +1,32 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { withSkillGap } from '../src/gaps.js';
+import { mapStoredDataToProfile } from '../src/profile.js';
+
+const path = { $id: 'dev', title: 'Developer', requiredSkills: ['Python'], suggestedDegrees: ['Computer Science'] };
+
+describe('degree gap', () => {
+  it('counts a degree stored on the talent', () => {
+    const userProfile = mapStoredDataToProfile({ degrees: ['Computer Science'], currentSeniorityLevel: 'Junior' }, 'Trailblazer');
+
+    const { skillGap, roadmap } = withSkillGap({}, path, userProfile);
+
+    assert.equal(skillGap.degreeMatch, true);
+    assert.ok(roadmap.every(step => step.degrees.length === 0));
+  });
+
+  it('counts the program from the survey', () => {
+    const { skillGap } = withSkillGap({}, path, { program: 'Computer Science', seniorityLevel: 'Junior' });
+
+    assert.equal(skillGap.degreeMatch, true);
+  });
+
+  it('adds a long term degree step when no degree matches', () => {
+    const userProfile = mapStoredDataToProfile({ degrees: ['History'], currentSeniorityLevel: 'Junior' }, 'Trailblazer');
+
+    const { skillGap, roadmap } = withSkillGap({}, path, userProfile);
+
+    assert.equal(skillGap.degreeMatch, false);
+    assert.deepEqual(roadmap.find(step => step.term === 'long').degrees, ['Computer Science']);
+  });
+});
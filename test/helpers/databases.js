@@ -0,0 +1,92 @@
+import { Databases } from 'node-appwrite';
+
+// An in-memory stand-in for the Appwrite Databases service, covering the
+// queries this function makes: equal, orderAsc/orderDesc, limit, offset,
+// cursorAfter and select. Every call is recorded in `calls`. Collections that
+// were not given do not exist, so every call on them fails with a 404.
+
+const notFound = (message) => Object.assign(new Error(message), { code: 404 });
+
+const compare = (a, b) => (String(a ?? '') < String(b ?? '') ? -1 : String(a ?? '') > String(b ?? '') ? 1 : 0);
+
+const applyQueries = (documents, queries) => {
+  const parsed = queries.map(query => JSON.parse(query));
+  const find = (method) => parsed.find(query => query.method === method);
+
+  let result = documents.filter(doc => parsed
+    .filter(query => query.method === 'equal')
+    .every(query => query.values.some(value => doc[query.attribute] === value)));
+
+  const orderAsc = find('orderAsc');
+  if (orderAsc) result = [...result].sort((a, b) => compare(a[orderAsc.attribute], b[orderAsc.attribute]));
+  const orderDesc = find('orderDesc');
+  if (orderDesc) result = [...result].sort((a, b) => compare(b[orderDesc.attribute], a[orderDesc.attribute]));
+
+  const cursorAfter = find('cursorAfter');
+  if (cursorAfter) result = result.slice(result.findIndex(doc => doc.$id === cursorAfter.values[0]) + 1);
+
+  const total = result.length;
+  const offset = find('offset')?.values[0] ?? 0;
+  const limit = find('limit')?.values[0] ?? 25;
+  return { total, documents: result.slice(offset, offset + limit) };
+};
+
+export const createDatabases = (collections = {}) => {
+  let nextId = 1;
+  const calls = [];
+  const collection = (collectionId) => {
+    if (!collections[collectionId]) throw notFound(`Collection not found: ${collectionId}`);
+    return collections[collectionId];
+  };
+  const findDocument = (collectionId, documentId) => {
+    const doc = collection(collectionId).find(item => item.$id === documentId);
+    if (!doc) throw notFound(`Document not found: ${documentId}`);
+    return doc;
+  };
+
+  return {
+    collections,
+    calls,
+    count: (method, collectionId) =>
+      calls.filter(call => call.method === method && (!collectionId || call.collectionId === collectionId)).length,
+
+    async listDocuments(databaseId, collectionId, queries = []) {
+      calls.push({ method: 'listDocuments', collectionId, queries });
+      return applyQueries(collection(collectionId), queries);
+    },
+
+    async getDocument(databaseId, collectionId, documentId) {
+      calls.push({ method: 'getDocument', collectionId, documentId });
+      return findDocument(collectionId, documentId);
+    },
+
+    async createDocument(databaseId, collectionId, documentId, data) {
+      calls.push({ method: 'createDocument', collectionId, documentId, data });
+      const now = new Date().toISOString();
+      const $id = documentId && documentId !== 'unique()' ? documentId : `doc${nextId++}`;
+      const doc = { $id, $createdAt: now, $updatedAt: now, ...data };
+      collection(collectionId).push(doc);
+      return doc;
+    },
+
+    async updateDocument(databaseId, collectionId, documentId, data) {
+      calls.push({ method: 'updateDocument', collectionId, documentId, data });
+      const doc = findDocument(collectionId, documentId);
+      Object.assign(doc, data, { $updatedAt: new Date().toISOString() });
+      return doc;
+    }
+  };
+};
+
+// Route every Databases client the code under test creates to the stub.
+// Returns a function that puts the real methods back.
+export const installDatabases = (stub) => {
+  const methods = ['listDocuments', 'getDocument', 'createDocument', 'updateDocument'];
+  const originals = Object.fromEntries(methods.map(method => [method, Databases.prototype[method]]));
+  for (const method of methods) {
+    Databases.prototype[method] = function (...args) {
+      return stub[method](...args);
+    };
+  }
+  return () => Object.assign(Databases.prototype, originals);
+};
@@ -0,0 +1,53 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { generateJson } from '../src/llm/index.js';
+import { createMockProvider } from '../src/llm/mock.js';
+
+// A provider that only answers when its call is aborted
+const createHangingProvider = () => ({
+  name: 'hanging',
+  model: 'hanging',
+  calls: 0,
+  generateText(prompt, { signal }) {
+    this.calls++;
+    return new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(Object.assign(new Error('Aborted'), { name: 'AbortError' })));
+    });
+  }
+});
+
+describe('generateJson', () => {
+  it('retries transient failures', async () => {
+    const provider = createMockProvider({ responses: [Object.assign(new Error('Unavailable'), { status: 503 }), '{"ok":true}'] });
+
+    const json = await generateJson(provider, 'prompt', { backoffMs: 1 });
+
+    assert.deepEqual(json, { ok: true });
+    assert.equal(provider.prompts.length, 2);
+  });
+
+  it('does not retry past the deadline', async () => {
+    const provider = createHangingProvider();
+    const started = Date.now();
+
+    await assert.rejects(
+      generateJson(provider, 'prompt', { timeoutMs: 50, maxRetries: 3, deadlineMs: 80, backoffMs: 50 }),
+      { code: 'AI_UNAVAILABLE' }
+    );
+
+    assert.equal(provider.calls, 1);
+    assert.ok(Date.now() - started < 1000);
+  });
+
+  it('cuts the last attempt short at the deadline', async () => {
+    const provider = createHangingProvider();
+    const started = Date.now();
+
+    await assert.rejects(
+      generateJson(provider, 'prompt', { timeoutMs: 5000, maxRetries: 0, deadlineMs: 50 }),
+      { code: 'AI_UNAVAILABLE' }
+    );
+
+    assert.ok(Date.now() - started < 1000);
+  });
+});
@@ -0,0 +1,54 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, it } from 'node:test';
+import main from '../src/main.js';
+import { createDatabases, installDatabases } from './helpers/databases.js';
+
+const ENV = {
+  APPWRITE_ENDPOINT: 'http://appwrite.test/v1',
+  APPWRITE_PROJECT_ID: 'project',
+  APPWRITE_API_KEY: 'key',
+  LLM_PROVIDER: 'mock'
+};
+
+const execute = async (body) => {
+  let response;
+  await main({
+    req: { body, path: '/', headers: { 'x-appwrite-user-id': 'u1' } },
+    res: { json: (json, status = 200, headers) => (response = { status, json, headers }) },
+    log: () => {},
+    error: () => {}
+  });
+  return response;
+};
+
+describe('request body', () => {
+  let savedEnv;
+  let restoreDatabases;
+  const databases = createDatabases({});
+
+  before(() => {
+    savedEnv = { ...process.env };
+    Object.assign(process.env, ENV);
+    restoreDatabases = installDatabases(databases);
+  });
+
+  after(() => {
+    restoreDatabases();
+    process.env = savedEnv;
+  });
+
+  it('rejects a body that is not valid JSON without running anything', async () => {
+    const response = await execute('{"surveyAnswers": ');
+
+    assert.equal(response.status, 400);
+    assert.equal(response.json.code, 'INVALID_REQUEST');
+    assert.equal(databases.calls.length, 0);
+  });
+
+  it('rejects JSON that is not an object', async () => {
+    const response = await execute('["match"]');
+
+    assert.equal(response.status, 400);
+    assert.equal(response.json.code, 'INVALID_REQUEST');
+  });
+});
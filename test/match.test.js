@@ -0,0 +1,141 @@
+import assert from 'node:assert/strict';
+import { after, before, beforeEach, describe, it } from 'node:test';
+import { invalidateCatalogCache } from '../src/catalog.js';
+import main from '../src/main.js';
+import { createDatabases, installDatabases } from './helpers/databases.js';
+
+const ENV = {
+  APPWRITE_ENDPOINT: 'http://appwrite.test/v1',
+  APPWRITE_PROJECT_ID: 'project',
+  APPWRITE_API_KEY: 'key',
+  LLM_PROVIDER: 'mock'
+};
+
+const careerPaths = () => [
+  { $id: 'analyst', title: 'Data Analyst', industry: 'Technology', requiredSkills: ['SQL', 'Python'], requiredInterests: ['Data'], minSalary: 50000, maxSalary: 80000 },
+  { $id: 'engineer', title: 'Software Engineer', industry: 'Technology', requiredSkills: ['JavaScript', 'Python'], requiredInterests: ['Technology'], minSalary: 70000, maxSalary: 130000 },
+  { $id: 'senior', title: 'Senior Software Engineer', industry: 'Technology', requiredSkills: ['Python', 'Leadership'], requiredInterests: ['Technology'], minSalary: 100000, maxSalary: 160000 },
+  { $id: 'scientist', title: 'Data Scientist', industry: 'Technology', requiredSkills: ['Python', 'Statistics'], requiredInterests: ['Data'], minSalary: 80000, maxSalary: 140000 },
+  { $id: 'nurse', title: 'Nurse', industry: 'Healthcare', requiredSkills: ['Patient Care'], requiredInterests: ['Helping People'], minSalary: 40000, maxSalary: 70000 },
+  { $id: 'teacher', title: 'Teacher', industry: 'Education', requiredSkills: ['Communication'], requiredInterests: ['Teaching'], minSalary: 30000, maxSalary: 60000 }
+];
+
+const talent = () => ({
+  $id: 'talent1',
+  talentId: 'u1',
+  careerStage: 'Trailblazer',
+  currentPath: 'Software Engineer',
+  skills: ['Python'],
+  interests: ['Data'],
+  interestedFields: ['Technology']
+});
+
+// Run the function the way Appwrite does, with the user already signed in
+const execute = async (body) => {
+  const logs = [];
+  let response;
+  await main({
+    req: { body: JSON.stringify(body), path: '/', headers: { 'x-appwrite-user-id': 'u1' } },
+    res: { json: (json, status = 200, headers) => (response = { status, json, headers }) },
+    log: (...args) => logs.push(args),
+    error: (...args) => logs.push(args)
+  });
+  return response;
+};
+
+describe('match action with the mock provider', () => {
+  let savedEnv;
+  let restoreDatabases;
+  let databases;
+
+  before(() => {
+    savedEnv = { ...process.env };
+    Object.assign(process.env, ENV);
+  });
+
+  after(() => {
+    process.env = savedEnv;
+  });
+
+  beforeEach(() => {
+    invalidateCatalogCache();
+    restoreDatabases?.();
+    databases = createDatabases({
+      talents: [talent()],
+      careerPaths: careerPaths(),
+      careerMatchResults: [],
+      careerMatchFeedback: [],
+      rateLimits: []
+    });
+    restoreDatabases = installDatabases(databases);
+  });
+
+  after(() => restoreDatabases());
+
+  it('recommends catalog paths, saves the result and updates the talent', async () => {
+    const response = await execute({
+      surveyAnswers: {
+        educationLevel: "Bachelor's Degree",
+        currentPath: 'Software Engineer',
+        seniorityLevel: 'Mid-Level',
+        currentSkills: ['Python', 'SQL'],
+        mainInterests: ['Data'],
+        interestedFields: ['Technology']
+      }
+    });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.json.success, true);
+    assert.equal(response.json.source, 'ai');
+    assert.ok(response.json.recommendations.length > 0);
+    const pathIds = new Set(careerPaths().map(path => path.$id));
+    assert.ok(response.json.recommendations.every(recommendation => pathIds.has(recommendation.pathId)));
+
+    assert.equal(databases.collections.careerMatchResults.length, 1);
+    assert.equal(response.json.resultId, databases.collections.careerMatchResults[0].$id);
+    assert.equal(databases.collections.careerMatchResults[0].model, 'mock:mock');
+    assert.equal(response.json.profileUpdated, true);
+    assert.ok(databases.collections.talents[0].skills.includes('SQL'));
+    assert.ok(databases.collections.talents[0].profileSnapshot);
+  });
+
+  it('matches on the stored profile without survey answers', async () => {
+    const response = await execute({});
+
+    assert.equal(response.status, 200);
+    assert.equal(response.json.source, 'ai');
+    assert.equal(response.json.userCurrentPath, 'Software Engineer');
+    assert.equal(databases.collections.talents[0].testTaken, true);
+    assert.equal(databases.collections.talents[0].profileSnapshot, undefined);
+  });
+
+  it('falls back to the deterministic ranking when the model answers with unusable text', async () => {
+    process.env.LLM_MOCK_RESPONSE = 'not json';
+    try {
+      const response = await execute({});
+
+      assert.equal(response.status, 200);
+      assert.equal(response.json.source, 'fallback');
+      assert.equal(response.json.recommendations.length, 5);
+      for (const recommendation of response.json.recommendations) {
+        assert.equal(typeof recommendation.pathId, 'string');
+        assert.equal(typeof recommendation.title, 'string');
+        assert.ok(Number.isInteger(recommendation.matchScore) && recommendation.matchScore >= 0 && recommendation.matchScore <= 100);
+        assert.equal(typeof recommendation.reason, 'string');
+        assert.ok(Array.isArray(recommendation.improvementAreas));
+      }
+      assert.equal(databases.collections.careerMatchResults[0].source, 'fallback');
+
+      // Only the exact title is the Trailblazer's current path
+      const [top] = response.json.recommendations;
+      assert.equal(top.pathId, 'engineer');
+      assert.equal(top.matchScore, 95);
+      assert.match(top.reason, /current path/);
+      const senior = response.json.recommendations.find(recommendation => recommendation.pathId === 'senior');
+      assert.ok(senior.matchScore < 95);
+      assert.doesNotMatch(senior.reason, /current path/);
+    } finally {
+      delete process.env.LLM_MOCK_RESPONSE;
+    }
+  });
+});
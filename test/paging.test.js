@@ -0,0 +1,39 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { Query } from 'node-appwrite';
+import { listAllDocuments } from '../src/paging.js';
+import { createDatabases } from './helpers/databases.js';
+
+const makeDocuments = (count) => Array.from({ length: count }, (_, index) => ({
+  $id: `doc${String(index).padStart(3, '0')}`,
+  kind: index % 2 ? 'odd' : 'even'
+}));
+
+describe('listAllDocuments', () => {
+  it('pages through the whole collection', async () => {
+    const databases = createDatabases({ items: makeDocuments(250) });
+
+    const documents = await listAllDocuments(databases, 'db', 'items');
+
+    assert.equal(documents.length, 250);
+    assert.equal(new Set(documents.map(doc => doc.$id)).size, 250);
+    assert.equal(databases.count('listDocuments'), 3);
+  });
+
+  it('applies the given queries to every page', async () => {
+    const databases = createDatabases({ items: makeDocuments(250) });
+
+    const documents = await listAllDocuments(databases, 'db', 'items', [Query.equal('kind', 'odd')]);
+
+    assert.equal(documents.length, 125);
+    assert.ok(documents.every(doc => doc.kind === 'odd'));
+    assert.ok(databases.calls.every(call => call.queries.some(query => query.includes('"equal"'))));
+  });
+
+  it('makes one call for an empty collection', async () => {
+    const databases = createDatabases({ items: [] });
+
+    assert.deepEqual(await listAllDocuments(databases, 'db', 'items'), []);
+    assert.equal(databases.count('listDocuments'), 1);
+  });
+});
@@ -0,0 +1,26 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { buildProfileRestore, buildProfileWriteBack, mapStoredDataToProfile } from '../src/profile.js';
+
+describe('salary expectation write-back', () => {
+  it('saves the expectation and currency and snapshots the old values', () => {
+    const userData = { salaryExpectation: 50000, salaryCurrency: 'USD' };
+    const writeBack = buildProfileWriteBack({ salaryExpectation: 60000, currency: 'EUR' }, userData);
+
+    assert.equal(writeBack.salaryExpectation, 60000);
+    assert.equal(writeBack.salaryCurrency, 'EUR');
+    assert.deepEqual(JSON.parse(writeBack.profileSnapshot).values, { salaryExpectation: 50000, salaryCurrency: 'USD' });
+    assert.deepEqual(buildProfileRestore({ ...userData, ...writeBack }), { salaryExpectation: 50000, salaryCurrency: 'USD', profileSnapshot: null });
+  });
+
+  it('clears a stored currency when the new expectation has none', () => {
+    const writeBack = buildProfileWriteBack({ salaryExpectation: 60000 }, { salaryExpectation: 50000, salaryCurrency: 'EUR' });
+    assert.equal(writeBack.salaryCurrency, null);
+  });
+
+  it('is read back by the stored-data profile', () => {
+    const profile = mapStoredDataToProfile({ salaryExpectation: 60000, salaryCurrency: 'EUR' }, 'Pathfinder');
+    assert.equal(profile.salaryExpectation, 60000);
+    assert.equal(profile.currency, 'EUR');
+  });
+});
@@ -0,0 +1,14 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { describeCareerPath, loadPromptTemplates } from '../src/prompt.js';
+
+const config = { promptVersions: ['v1'], promptFallbackLocale: 'en', catalogCurrency: 'EUR' };
+
+describe('describeCareerPath', () => {
+  it('shows the salary range in the catalog currency', async () => {
+    const templates = await loadPromptTemplates(null, config, { seed: 'u1', locale: 'en' });
+    const text = describeCareerPath(templates, { $id: 'a', title: 'Data Analyst', minSalary: 50000, maxSalary: 80000 });
+    assert.match(text, /Salary Range: 50000 - 80000 EUR per year/);
+    assert.doesNotMatch(text, /\$/);
+  });
+});
@@ -0,0 +1,66 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { consumeRateLimit } from '../src/ratelimit.js';
+import { createDatabases } from './helpers/databases.js';
+
+const config = {
+  databaseId: 'db',
+  rateLimitCollectionId: 'rateLimits',
+  rateLimitWindowSeconds: 60,
+  rateLimitMaxRequests: 2
+};
+
+describe('consumeRateLimit', () => {
+  it('counts requests in epoch milliseconds and refuses the one over the quota', async () => {
+    const databases = createDatabases({ rateLimits: [] });
+    await consumeRateLimit(databases, config, 'u1');
+    await consumeRateLimit(databases, config, 'u1');
+
+    const [counter] = databases.collections.rateLimits;
+    assert.equal(counter.count, 2);
+    assert.equal(typeof counter.windowStart, 'number');
+    await assert.rejects(consumeRateLimit(databases, config, 'u1'), error => {
+      assert.equal(error.code, 'RATE_LIMITED');
+      assert.ok(error.retryAfter > 0 && error.retryAfter <= 60);
+      return true;
+    });
+  });
+
+  it('starts a new window once the old one has passed', async () => {
+    const windowStart = Date.now() - 61000;
+    const databases = createDatabases({ rateLimits: [] });
+    await consumeRateLimit(databases, config, 'u1');
+    Object.assign(databases.collections.rateLimits[0], { windowStart, count: 2 });
+
+    await consumeRateLimit(databases, config, 'u1');
+
+    assert.equal(databases.collections.rateLimits[0].count, 1);
+    assert.ok(databases.collections.rateLimits[0].windowStart > windowStart);
+  });
+
+  it('lets requests through when the collection does not exist', async () => {
+    const logs = [];
+    const databases = createDatabases({});
+
+    await consumeRateLimit(databases, config, 'u1', (...args) => logs.push(args));
+
+    assert.equal(logs.length, 1);
+  });
+
+  it('lets requests through when the counter cannot be read', async () => {
+    const databases = createDatabases({ rateLimits: [] });
+    databases.getDocument = async () => {
+      throw Object.assign(new Error('Server error'), { code: 500 });
+    };
+
+    await consumeRateLimit(databases, config, 'u1');
+
+    assert.equal(databases.count('createDocument'), 0);
+  });
+
+  it('is off with a quota of 0', async () => {
+    const databases = createDatabases({ rateLimits: [] });
+    await consumeRateLimit(databases, { ...config, rateLimitMaxRequests: 0 }, 'u1');
+    assert.equal(databases.calls.length, 0);
+  });
+});
@@ -0,0 +1,113 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import { recompute } from '../src/actions/recompute.js';
+import { invalidateCatalogCache } from '../src/catalog.js';
+import { loadConfig } from '../src/config.js';
+import { mapWithConcurrency } from '../src/recompute.js';
+import { createServices } from '../src/services.js';
+import { createDatabases, installDatabases } from './helpers/databases.js';
+
+describe('recompute settings', () => {
+  const savedEnv = { ...process.env };
+  afterEach(() => {
+    process.env = { ...savedEnv };
+  });
+
+  it('falls back to the defaults for values that are not positive integers', () => {
+    Object.assign(process.env, { RECOMPUTE_BATCH_SIZE: 'fifty', RECOMPUTE_CONCURRENCY: '0', RECOMPUTE_MAX_MODEL_CALLS: '2.5' });
+
+    const config = loadConfig();
+
+    assert.equal(config.recomputeBatchSize, 50);
+    assert.equal(config.recomputeConcurrency, 3);
+    assert.equal(config.recomputeMaxModelCalls, 50);
+  });
+
+  it('uses valid values as given', () => {
+    Object.assign(process.env, { RECOMPUTE_BATCH_SIZE: '20', RECOMPUTE_CONCURRENCY: '5', RECOMPUTE_MAX_MODEL_CALLS: '10' });
+
+    const config = loadConfig();
+
+    assert.equal(config.recomputeBatchSize, 20);
+    assert.equal(config.recomputeConcurrency, 5);
+    assert.equal(config.recomputeMaxModelCalls, 10);
+  });
+});
+
+describe('mapWithConcurrency', () => {
+  it('keeps the order of the items', async () => {
+    const results = await mapWithConcurrency([30, 10, 20], 2, value =>
+      new Promise(resolve => setTimeout(() => resolve(value * 2), value)));
+
+    assert.deepEqual(results, [60, 20, 40]);
+  });
+
+  it('still runs every item with a limit that is not a number', async () => {
+    const results = await mapWithConcurrency([1, 2, 3], NaN, async value => value + 1);
+
+    assert.deepEqual(results, [2, 3, 4]);
+  });
+});
+
+describe('recompute action', () => {
+  const savedEnv = { ...process.env };
+  let restoreDatabases;
+  let databases;
+
+  beforeEach(() => {
+    Object.assign(process.env, {
+      APPWRITE_ENDPOINT: 'http://appwrite.test/v1',
+      APPWRITE_PROJECT_ID: 'project',
+      APPWRITE_API_KEY: 'key',
+      LLM_PROVIDER: 'mock'
+    });
+    invalidateCatalogCache();
+    databases = createDatabases({
+      talents: Array.from({ length: 12 }, (_, index) => ({
+        $id: `talent${String(index).padStart(2, '0')}`,
+        talentId: `u${index}`,
+        careerStage: 'Pathfinder',
+        testTaken: true,
+        skills: ['Python'],
+        interests: ['Data']
+      })),
+      careerPaths: [
+        { $id: 'analyst', title: 'Data Analyst', industry: 'Technology', requiredSkills: ['Python'], requiredInterests: ['Data'] },
+        { $id: 'nurse', title: 'Nurse', industry: 'Healthcare', requiredSkills: ['Patient Care'], requiredInterests: ['Helping People'] }
+      ],
+      careerMatchResults: [],
+      careerMatchFeedback: [],
+      settings: []
+    });
+    restoreDatabases = installDatabases(databases);
+  });
+
+  afterEach(() => {
+    restoreDatabases();
+    process.env = { ...savedEnv };
+  });
+
+  const run = (configOverrides) => {
+    const config = { ...loadConfig(), ...configOverrides };
+    const context = { log: () => {}, error: () => {} };
+    return recompute(createServices(config, context, null, 'en'), {}, context);
+  };
+
+  it('finishes the pass within the time budget', async () => {
+    const report = await run({});
+
+    assert.equal(report.done, true);
+    assert.equal(report.processed, 12);
+    assert.equal(databases.collections.careerMatchResults.length, 12);
+  });
+
+  it('starts no new page once the time budget is used up', async () => {
+    const report = await run({ recomputeTimeBudgetSeconds: 0.001 });
+
+    assert.equal(report.done, false);
+    assert.equal(report.stopReason, 'timeBudget');
+    assert.equal(report.processed, 10);
+    assert.equal(report.cursor, 'talent09');
+    assert.equal(JSON.parse(databases.collections.settings[0].value).cursor, 'talent09');
+  });
+});
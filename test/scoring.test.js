@@ -0,0 +1,34 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { filterRelevantCareerPaths } from '../src/scoring.js';
+
+const careerPaths = [
+  { $id: 'engineer', title: 'Software Engineer', industry: 'Technology', requiredSkills: ['Python'], requiredInterests: [] },
+  { $id: 'senior', title: 'Senior Software Engineer', industry: 'Technology', requiredSkills: ['Python'], requiredInterests: [] },
+  { $id: 'analyst', title: 'Data Analyst', industry: 'Technology', requiredSkills: ['Python'], requiredInterests: [] }
+];
+
+const userProfile = { currentPath: 'Software Engineer', currentSkills: ['Python'], interests: [], interestedFields: [] };
+
+const dismissed = (...pathIds) => ({ dismissedPathIds: new Set(pathIds), likedIndustries: new Set() });
+
+describe('filterRelevantCareerPaths with feedback', () => {
+  it('drops a dismissed path whose title contains the current path', () => {
+    const shortlist = filterRelevantCareerPaths(careerPaths, userProfile, 'Trailblazer', { feedback: dismissed('senior') });
+
+    assert.ok(!shortlist.some(path => path.$id === 'senior'));
+    assert.equal(shortlist[0].$id, 'engineer');
+  });
+
+  it('keeps a Trailblazer\'s own current path even when dismissed', () => {
+    const shortlist = filterRelevantCareerPaths(careerPaths, userProfile, 'Trailblazer', { feedback: dismissed('engineer') });
+
+    assert.equal(shortlist[0].$id, 'engineer');
+  });
+
+  it('drops a dismissed current path for other stages', () => {
+    const shortlist = filterRelevantCareerPaths(careerPaths, userProfile, 'Horizon Changer', { feedback: dismissed('engineer') });
+
+    assert.ok(!shortlist.some(path => path.$id === 'engineer'));
+  });
+});